@@ -0,0 +1,54 @@
+// alerts.js
+// Failure, staleness and recovery alert bookkeeping. Each problem is tracked under a key
+// ('backup', 'destination:<id>', 'stale') so it is reported once, repeated at most every
+// `repeatMinutes` while it lasts, and followed by a single recovery notice.
+
+export const DEFAULT_ALERTS = {
+    staleHours: 12,     // Warn when saves changed but nothing was backed up for this long (0 = off)
+    repeatMinutes: 60   // Minimum time between two alerts about the same ongoing problem
+};
+
+export function createAlertState() {
+    return { lastSuccessAt: null, failing: {} }; // failing: key -> { since, count, lastError, notifiedAt }
+}
+
+/**
+ * Counts a failure under `key`. Returns the problem's entry when an alert should be sent now,
+ * or null while alerts about it are rate limited.
+ */
+export function recordFailure(alerts, key, error, policy, now = Date.now()) {
+    const { repeatMinutes } = { ...DEFAULT_ALERTS, ...policy };
+    const entry = alerts.failing[key] ??= { since: now, count: 0, lastError: null, notifiedAt: null };
+    entry.count++;
+    entry.lastError = error;
+    if (entry.notifiedAt && now - entry.notifiedAt < repeatMinutes * 60 * 1000) return null;
+    entry.notifiedAt = now;
+    return entry;
+}
+
+/**
+ * Clears the problem tracked under `key`. Returns its entry when an alert had been sent for
+ * it (so a recovery notice is due), null otherwise.
+ */
+export function recordSuccess(alerts, key, now = Date.now()) {
+    if (key === 'backup') alerts.lastSuccessAt = now;
+    const entry = alerts.failing[key];
+    delete alerts.failing[key];
+    return entry?.notifiedAt ? entry : null;
+}
+
+/**
+ * The watchdog: saves changed after the last successful backup, which is more than
+ * `staleHours` ago. `lastSuccessAt` falls back to when tracking began.
+ */
+export function isStale(lastSuccessAt, lastChangeAt, policy, now = Date.now()) {
+    const { staleHours } = { ...DEFAULT_ALERTS, ...policy };
+    if (!staleHours || !lastChangeAt) return false;
+    return lastChangeAt > lastSuccessAt && now - lastSuccessAt >= staleHours * 60 * 60 * 1000;
+}
+
+export function describeAlerts(policy) {
+    const { staleHours, repeatMinutes } = { ...DEFAULT_ALERTS, ...policy };
+    const watchdog = staleHours ? `stale after ${staleHours}h` : 'watchdog off';
+    return `${watchdog}, repeat every ${repeatMinutes} min`;
+}
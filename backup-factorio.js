@@ -1,25 +1,40 @@
 // backup-factorio.js
 // Run with: bun backup-factorio.js
-import { promises as fs, statSync } from 'fs';
+import { promises as fs, statSync, existsSync, watch } from 'fs';
 import path from 'path';
 import crypto from 'crypto';
-import { getSavePath, loadConfig, saveConfig, runInteractiveSetup, configureCloudService, configureGoogleDriveCredentials, configureDiscordBot } from './config-manager.js';
+import os from 'os';
+import { getSavePath, loadConfig, saveConfig, runInteractiveSetup, configureCloudService, configureDestinations, configureStorageSettings, configureDiscordBot, configureRetention, configureLocalBackupRetention, configureSaveWatching, configureSaveFilter, configureEncryption, configureIncrementalBackups, configureSecretStorage, configureNotifications, configureAlerts, configureNotificationTemplates, describeTemplates } from './config-manager.js';
+import { SECRET_STORE_MODES } from './secret-store.js';
+import { loadState, saveState } from './state-manager.js';
+import { loadManifest, saveManifest, hashFile, sha256File, verifyChecksum } from './manifest.js';
 import { select, input, number } from '@inquirer/prompts';
 
 // Explicit imports
-import { uploadToGoogleDrive, listFilesFromGoogleDrive, downloadFromGoogleDrive } from './services/google-drive.js';
-import { sendNotification, getLatestBackupUrl } from './services/discord.js';
-import { resolveDirectLink } from './services/resolver.js';
+import { getProvider, getProviderSettings, getDestinations, resolveProvider } from './services/storage.js';
+import { getBackupHistory, downloadAttachmentBackup } from './services/discord.js';
+import { notify, getNotificationChannels } from './services/notifications.js';
+import { resolveDirectLink, findResolver, testDownloadLink } from './services/resolver.js';
+import { planRetention, parseBackupName, isRetentionEnabled, describeRetention } from './retention.js';
+import { readSaveMetadata, describeSave, validateSaveArchive, writeTestSave } from './save-metadata.js';
+import { isSaveIncluded, describeSaveFilter } from './save-filter.js';
+import { DEFAULT_ALERTS, createAlertState, recordFailure, recordSuccess, isStale, describeAlerts } from './alerts.js';
+import { ENCRYPTED_EXTENSION, isEncryptionEnabled, isEncryptedName, isEncryptedFile, decryptedName, encryptFile, decryptFile } from './encryption.js';
+
+const DISCORD_HISTORY_PAGE_SIZE = 10; // Backups per page in the Discord history browser
 
 class FactorioBackup {
-    constructor(config) {
+    constructor(config, state, manifest) {
         this.config = config;
+        this.state = state; // persisted in backup-state.json, see state-manager.js
+        this.manifest = manifest; // persisted in backup-manifest.json, see manifest.js
         this.savePath = getSavePath();
-        this.lastHash = null;
-        this.startTime = Date.now();
         this.lastCheckTime = Date.now();
-        this.lastLink = 'No backups yet';
-        this.lastLinkDate = 'N/A';
+        this.watcher = null;
+        this.settleTimers = new Map(); // save file name -> pending settle timer
+        this.checkInProgress = false;
+        this.checkQueued = false;
+        this.remoteListings = new Map(); // provider id -> { settings, chunked, files }, see findRemoteDuplicate
         this.logFile = path.join(process.cwd(), 'factorio-backup.log');
     }
 
@@ -58,31 +73,83 @@ class FactorioBackup {
         }
 
         const finalPrefix = prefixStr ? prefixStr + '_' : '';
-        return `${finalPrefix}${baseName}_${timestamp}.zip`;
+        const extension = isEncryptionEnabled(this.config) ? `.zip${ENCRYPTED_EXTENSION}` : '.zip';
+        return `${finalPrefix}${baseName}_${timestamp}${extension}`;
     }
 
-    async getLatestSave() {
+    /**
+     * The local save a cloud backup was made from, so the save filter can be applied to cloud
+     * files too. Uses the name recorded at upload (by the backend or in the manifest); older
+     * backups fall back to the file name without the backup prefix and timestamp, which can't
+     * recover a first name part dropped by formatBackupName.
+     */
+    cloudFileSaveName(file) {
+        const recorded = file.saveName || this.manifest.files[file.name]?.world;
+        if (recorded) return recorded;
+        let baseName = decryptedName(file.name).replace(/\.zip$/i, '').replace(/_\d{8}_\d{6}$/, '');
+        const prefixStr = this.config.backupPrefix ? this.config.backupPrefix.replace(/[^a-zA-Z0-9_-]/g, '_') : '';
+        if (prefixStr && baseName.startsWith(`${prefixStr}_`)) {
+            baseName = baseName.substring(prefixStr.length + 1);
+        }
+        return `${baseName}.zip`;
+    }
+
+    /**
+     * Lists the saves worth checking, newest first: every world we have a record of,
+     * plus any other save modified since tracking started. Saves rejected by the
+     * include/exclude filter are left out.
+     */
+    async getSaves() {
         const saveDir = this.savePath;
         try {
             const files = await fs.readdir(saveDir);
-            const saveFiles = files.filter(f => f.endsWith('.zip')).filter(f => {
-                const mtime = statSync(path.join(saveDir, f)).mtime.getTime();
-                return mtime >= this.startTime;
-            }).sort((a, b) => {
-                return statSync(path.join(saveDir, b)).mtime.getTime() -
-                    statSync(path.join(saveDir, a)).mtime.getTime();
-            });
-
-            if (saveFiles.length > 0) {
-                return {
-                    path: path.join(saveDir, saveFiles[0]),
-                    name: saveFiles[0]
-                };
-            }
+            return files.filter(f => f.endsWith('.zip') && isSaveIncluded(f, this.config.saveFilter)).map(f => ({
+                path: path.join(saveDir, f),
+                name: f,
+                mtime: statSync(path.join(saveDir, f)).mtime.getTime()
+            })).filter(save => this.state.worlds[save.name] || save.mtime >= this.state.trackingSince)
+                .sort((a, b) => b.mtime - a.mtime);
         } catch (error) {
             console.error(`Error reading save directory ${saveDir}:`, error.message);
         }
-        return null;
+        return [];
+    }
+
+    async getLatestSave() {
+        const saves = await this.getSaves();
+        return saves[0] || null;
+    }
+
+    getWorldState(name) {
+        if (!this.state.worlds[name]) {
+            this.state.worlds[name] = { hash: null, signature: null, lastLink: null, lastBackupAt: null };
+        }
+        return this.state.worlds[name];
+    }
+
+    async persistState() {
+        await saveState(this.state);
+    }
+
+    /**
+     * Records a save that was just written by a download or restore as the world's baseline,
+     * so it isn't uploaded straight back.
+     */
+    async markWorldSynced(filePath) {
+        const world = this.getWorldState(path.basename(filePath));
+        world.hash = await this.calculateHash(filePath);
+        world.signature = this.statSignature(filePath);
+        await this.persistState();
+    }
+
+    /**
+     * True if a save differs from the version last backed up (or synced) for its world.
+     * Worlds this machine never backed up have nothing to compare against.
+     */
+    async hasUnbackedChanges(filePath) {
+        const world = this.state.worlds[path.basename(filePath)];
+        if (!world?.hash || !existsSync(filePath)) return false;
+        return await this.calculateHash(filePath) !== world.hash;
     }
 
     async calculateHash(filePath) {
@@ -96,56 +163,623 @@ class FactorioBackup {
         }
     }
 
-    async uploadToCloud(filePath, fileName) {
-        if (this.config.cloudService === 'google-drive') {
-            const credentialsPath = this.config.googleDrive?.credentialsPath || './credentials.json';
-            const folderId = this.config.googleDrive?.folderId || null;
-            return await uploadToGoogleDrive(filePath, fileName, credentialsPath, folderId);
-        } else {
+    /**
+     * Resolves the configured storage provider and its settings, or null if unsupported.
+     */
+    getStorage() {
+        const provider = getProvider(this.config.cloudService);
+        if (!provider) return null;
+        return { provider: resolveProvider(this.config, provider), settings: getProviderSettings(this.config, provider) };
+    }
+
+    /**
+     * The files last listed on a destination this run, or null when it has to be listed (again)
+     * because it never was or its settings or backup format changed since.
+     */
+    getRemoteListing(provider, settings) {
+        const listing = this.remoteListings.get(provider.id);
+        if (!listing || listing.settings !== settings || listing.chunked !== Boolean(provider.chunked)) return null;
+        return listing.files;
+    }
+
+    setRemoteListing(provider, settings, files) {
+        this.remoteListings.set(provider.id, { settings, chunked: Boolean(provider.chunked), files });
+    }
+
+    /**
+     * Looks for a backup with the same content already on a destination, using the backend's
+     * own checksum (Drive's md5Checksum) or the SHA-256 we recorded for it. Listing errors are
+     * not fatal: the file is simply uploaded again. An encrypted backup is only ever matched
+     * against encrypted files, so enabling encryption never reuses a readable copy.
+     */
+    async findRemoteDuplicate(provider, settings, fileName, checksums) {
+        const encrypted = isEncryptedName(fileName);
+        const matches = file => isEncryptedName(file.name) === encrypted && (
+            (!encrypted && file.md5 && file.md5 === checksums.md5) ||
+            (checksums.sha256 && this.expectedChecksum(file) === checksums.sha256)
+        );
+        try {
+            // Misses are answered from the listing kept for this run; a hit is listed again so
+            // a file deleted in the meantime never stands in for an upload
+            const cached = this.getRemoteListing(provider, settings);
+            if (cached && !cached.some(matches)) return null;
+            const files = await provider.list(settings);
+            this.setRemoteListing(provider, settings, files);
+            return files.find(matches) || null;
+        } catch (error) {
+            this.logToFile(`Duplicate check on ${provider.name} failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Uploads a backup to every configured destination. A failing destination doesn't stop
+     * the others; each outcome is returned as { service, name, ok, link, error, date, duplicateOf }.
+     * `metadata` (from readSaveMetadata), the `sha256` checksum and `saveName` (the local save
+     * the backup was made from) are handed to providers that can store them with the file;
+     * the checksum and save name are also recorded in the manifest.
+     * When `sha256` is given, destinations that already hold an identical backup are skipped
+     * and the existing file's link is reused (`duplicateOf` is its name).
+     * Names ending in ENCRYPTED_EXTENSION are encrypted to a temp file first (incremental
+     * destinations get the passphrase and encrypt chunk by chunk instead); the checksums
+     * always describe the plain save.
+     * `only` limits the round to the destinations with these provider ids.
+     */
+    async uploadToCloud(filePath, fileName, metadata = null, sha256 = null, saveName = null, only = null) {
+        const destinations = getDestinations(this.config).filter(d => !only || only.includes(d.provider.id));
+        if (destinations.length === 0) {
             console.warn(`Service ${this.config.cloudService} not implemented or supported.`);
+            return [];
         }
+
+        const checksums = sha256 ? { sha256, md5: await hashFile(filePath, 'md5') } : null;
+        const passphrase = isEncryptedName(fileName) ? this.config.encryption.passphrase : null;
+        let encryptedPath = null;
+
+        const results = [];
+        for (const { provider, settings } of destinations) {
+            const result = { service: provider.id, name: provider.name, ok: false, link: null, error: null, date: new Date().toLocaleString(), duplicateOf: null };
+            const duplicate = checksums ? await this.findRemoteDuplicate(provider, settings, fileName, checksums) : null;
+            if (duplicate) {
+                result.ok = true;
+                result.link = duplicate.link || null;
+                result.duplicateOf = duplicate.name;
+                console.log(`♻️  ${provider.name} already has an identical backup (${duplicate.name}), skipping upload.`);
+                this.logToFile(`Upload skipped (${provider.name}): identical to ${duplicate.name}`);
+                this.state.destinationStatus[provider.id] = result;
+                results.push(result);
+                continue;
+            }
+            try {
+                let uploadPath = filePath;
+                if (passphrase && !provider.chunked) {
+                    if (!encryptedPath) {
+                        encryptedPath = path.join(os.tmpdir(), fileName);
+                        console.log('🔐 Encrypting backup...');
+                        await encryptFile(filePath, encryptedPath, passphrase);
+                    }
+                    uploadPath = encryptedPath;
+                }
+                const file = await provider.upload(settings, uploadPath, fileName, { metadata, sha256, passphrase, saveName });
+                result.ok = true;
+                result.link = file?.link || null;
+                this.getRemoteListing(provider, settings)?.push({ name: fileName, link: result.link, md5: passphrase ? null : checksums?.md5, sha256 });
+                this.logToFile(`Upload success (${provider.name}): ${result.link}`);
+            } catch (error) {
+                result.error = error.message;
+                console.error(`❌ Upload to ${provider.name} failed:`, error.message);
+                this.logToFile(`Upload failed (${provider.name}): ${error.message}`);
+            }
+            this.state.destinationStatus[provider.id] = result;
+            results.push(result);
+        }
+        if (encryptedPath) await fs.rm(encryptedPath, { force: true });
+
+        if (sha256 && results.some(r => r.ok && !r.duplicateOf)) {
+            this.manifest.files[fileName] = { sha256, size: statSync(filePath).size, world: saveName, uploadedAt: new Date().toISOString() };
+            await saveManifest(this.manifest);
+        }
+        return results;
     }
 
-    async checkForChanges() {
-        try {
-            const save = await this.getLatestSave();
-            if (!save) return;
-
-            const currentHash = await this.calculateHash(save.path);
-
-            if (this.lastHash !== currentHash) {
-                this.logToFile(`Change detected in: ${save.name}`);
-                const formattedName = this.formatBackupName(save.name);
-                const downloadUrl = await this.uploadToCloud(save.path, formattedName);
-
-                if (downloadUrl) {
-                    this.lastLink = downloadUrl;
-                    this.lastLinkDate = new Date().toLocaleString();
-                    this.logToFile(`Upload success: ${downloadUrl}`);
-
-                    if (this.config.discordWebhook) {
-                        await sendNotification(
-                            this.config.discordWebhook,
-                            formattedName,
-                            downloadUrl,
-                            this.config.cloudService.charAt(0).toUpperCase() + this.config.cloudService.slice(1)
-                        );
-                        this.logToFile(`Discord notification sent.`);
+    /**
+     * Sends an event to the notification channels subscribed to it and logs failed deliveries.
+     */
+    async sendEvent(event) {
+        const outcomes = await notify(this.config, event);
+        for (const outcome of outcomes) {
+            this.logToFile(outcome.ok
+                ? `${outcome.channel.name} notification sent (${event.type}).`
+                : `${outcome.channel.name} notification failed (${event.type}): ${outcome.error}`);
+        }
+    }
+
+    /**
+     * Sends a failure alert for the problem tracked under `key`, unless alerts about it are
+     * currently rate limited (see alerts.js).
+     */
+    async reportFailure(key, event) {
+        this.state.alerts ??= createAlertState();
+        const entry = recordFailure(this.state.alerts, key, event.error, this.config.alerts);
+        await this.persistState();
+        if (!entry) {
+            this.logToFile(`Alert muted (${key}): ${event.error}`);
+            return;
+        }
+        await this.sendEvent({
+            failures: entry.count,
+            since: entry.since,
+            repeatMinutes: { ...DEFAULT_ALERTS, ...this.config.alerts }.repeatMinutes,
+            ...event
+        });
+    }
+
+    /**
+     * Clears the problem tracked under `key`. A recovery notice is sent if it had been alerted
+     * (and `silent` isn't set); returns whether it had been.
+     */
+    async reportRecovery(key, event, { silent = false } = {}) {
+        this.state.alerts ??= createAlertState();
+        const entry = recordSuccess(this.state.alerts, key);
+        await this.persistState();
+        if (entry && !silent) {
+            await this.sendEvent({ type: 'recovered', failures: entry.count, since: entry.since, ...event });
+        }
+        return Boolean(entry);
+    }
+
+    lastSuccessfulBackupAt() {
+        const lastBackups = Object.values(this.state.worlds).map(world => world.lastBackupAt || 0);
+        return this.state.alerts?.lastSuccessAt ?? Math.max(this.state.trackingSince, ...lastBackups);
+    }
+
+    /**
+     * Announces a finished upload round: a failure alert when no copy was stored, otherwise a
+     * success event plus alerts or recovery notices for the individual destinations.
+     */
+    async notifyUpload(world, fileName, results, metadata = null, sha256 = null, size = null) {
+        const succeeded = results.filter(r => r.ok);
+        if (succeeded.length === 0) {
+            const error = results.map(r => `${r.name}: ${r.error}`).join('; ') || 'No backup destination is configured.';
+            await this.reportFailure('backup', { type: 'failure', world, fileName, results, error });
+            return;
+        }
+
+        const lastSuccessAt = this.lastSuccessfulBackupAt();
+        const recovered = await this.reportRecovery('backup', { world, fileName });
+        // Watchdog checks aren't attempts, so the notice refers to the last good backup instead.
+        // It is folded into the failure recovery notice when there was one.
+        await this.reportRecovery('stale', { world, fileName, failures: null, since: lastSuccessAt }, { silent: recovered });
+        for (const r of results) {
+            // A destination failing while the others work still needs attention
+            if (r.ok) await this.reportRecovery(`destination:${r.service}`, { world, fileName, service: r.name });
+            else await this.reportFailure(`destination:${r.service}`, { type: 'failure', world, fileName, service: r.name, error: `${r.name}: ${r.error}` });
+        }
+
+        // Nothing new was uploaded when every destination already had the file
+        if (!succeeded.some(r => !r.duplicateOf)) return;
+
+        await this.sendEvent({
+            type: 'success',
+            world,
+            fileName,
+            service: succeeded.map(r => r.name).join(' + '),
+            link: succeeded.find(r => r.link)?.link || null,
+            results,
+            metadata,
+            sha256,
+            size
+        });
+    }
+
+    /**
+     * Applies the retention policy on each destination. Only `world` is considered when given
+     * (after an upload we only touch the world that just changed). With `dryRun` nothing is
+     * deleted and the plan is returned for previewing.
+     */
+    async applyRetention(destinations, { world = null, dryRun = false } = {}) {
+        const policy = this.config.retention;
+        if (!isRetentionEnabled(policy)) return [];
+
+        const report = [];
+        for (const { provider, settings } of destinations) {
+            try {
+                const files = await provider.list(settings);
+                const plan = planRetention(files, policy, world);
+                report.push({ provider, plan });
+                if (dryRun) continue;
+
+                const removed = new Set();
+                for (const { remove } of Object.values(plan)) {
+                    for (const file of remove) {
+                        await provider.delete(settings, file);
+                        removed.add(file);
+                        this.logToFile(`Retention deleted (${provider.name}): ${file.name}`);
                     }
                 }
+                this.setRemoteListing(provider, settings, files.filter(file => !removed.has(file)));
+            } catch (error) {
+                console.error(`Error applying retention on ${provider.name}:`, error.message);
+                this.logToFile(`Retention failed (${provider.name}): ${error.message}`);
+            }
+        }
+        return report;
+    }
+
+    /**
+     * Prunes older copies of the uploaded world on the destinations that accepted it.
+     */
+    async pruneAfterUpload(fileName, results) {
+        const parsed = parseBackupName(fileName);
+        if (!parsed) return;
+        const uploaded = new Set(results.filter(r => r.ok && !r.duplicateOf).map(r => r.service));
+        const destinations = getDestinations(this.config).filter(d => uploaded.has(d.provider.id));
+        if (destinations.length === 0) return;
+        await this.applyRetention(destinations, { world: parsed.world });
+    }
+
+    async previewRetention() {
+        console.log(`\n--- Retention Preview (${describeRetention(this.config.retention)}) ---`);
+        if (!isRetentionEnabled(this.config.retention)) {
+            console.log('No retention policy configured. Every backup is kept.');
+            return;
+        }
+
+        const report = await this.applyRetention(getDestinations(this.config), { dryRun: true });
+        for (const { provider, plan } of report) {
+            console.log(`\n☁️  ${provider.name}`);
+            const worlds = Object.entries(plan);
+            if (worlds.length === 0) {
+                console.log('   No backups found.');
+                continue;
+            }
+            for (const [world, { keep, remove }] of worlds) {
+                console.log(`   🌍 ${world}: keep ${keep.length}, delete ${remove.length}`);
+                keep.forEach(file => console.log(`      ✅ ${file.name} (${file.reason})`));
+                remove.forEach(file => console.log(`      🗑️  ${file.name}`));
+            }
+        }
+        console.log('\nDry run only: nothing was deleted.');
+    }
 
-                this.lastHash = currentHash;
+    /**
+     * Runs a link through the resolvers and checks that it really serves a backup, without
+     * downloading the whole file.
+     */
+    async testLink() {
+        console.log('\n--- Test a Download Link ---');
+        const url = await input({
+            message: 'Link to test (e.g. from a Discord backup message):',
+            validate: (value) => URL.canParse(value) ? true : 'Please enter a full URL.'
+        });
+        try {
+            const result = await testDownloadLink(url, { discordBotToken: this.config.discordBotToken });
+            console.log(`\n🧩 Resolver: ${result.resolver?.name || 'None (link used as is)'}`);
+            console.log(`🌐 Direct URL: ${result.directUrl}`);
+            console.log(`📡 Response: ${result.status}${result.contentType ? ` (${result.contentType})` : ''}`);
+            if (result.size) console.log(`📏 Size: ${(result.size / 1024 / 1024).toFixed(2)} MB`);
+
+            if (!result.ok) {
+                console.log(`❌ The host refused the download.`);
+            } else if (result.kind === 'zip') {
+                console.log('✅ The link serves a save file.');
+            } else if (result.kind === 'encrypted') {
+                console.log('✅ The link serves an encrypted backup (restoring it needs the passphrase).');
+            } else if (result.kind === 'html') {
+                console.log(`❌ The link leads to an HTML page, not a file.${result.resolver?.hint ? ` ${result.resolver.hint}` : ''}`);
             } else {
-                console.log('No changes detected (Manual check).');
+                console.log('⚠️  The link works, but the file does not look like a save or an encrypted backup.');
+            }
+        } catch (error) {
+            console.error('❌ Link test failed:', error.message);
+        }
+    }
+
+    statSignature(filePath) {
+        try {
+            const stats = statSync(filePath);
+            return `${stats.size}:${stats.mtimeMs}`;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Watches the saves folder and runs a check once a save has stopped changing for
+     * `settleSeconds`, so backups happen right after Factorio finishes writing it.
+     */
+    startWatcher() {
+        this.stopWatcher();
+        if (this.config.watchSaves === false) return;
+
+        try {
+            this.watcher = watch(this.savePath, (eventType, fileName) => {
+                if (fileName && fileName.endsWith('.zip')) {
+                    this.scheduleSettledCheck(fileName);
+                }
+            });
+            this.watcher.on('error', (error) => {
+                this.logToFile(`Save watcher stopped, falling back to polling: ${error.message}`);
+                this.stopWatcher();
+            });
+        } catch (error) {
+            this.logToFile(`Save watcher unavailable, falling back to polling: ${error.message}`);
+            this.watcher = null;
+        }
+    }
+
+    stopWatcher() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+        for (const timer of this.settleTimers.values()) clearTimeout(timer);
+        this.settleTimers.clear();
+    }
+
+    /**
+     * (Re)starts the settle timer for a save. Every new write event restarts the window, and
+     * the size/mtime are compared once more when it elapses in case a write produced no event.
+     */
+    scheduleSettledCheck(fileName, signature = null) {
+        const settleMs = (this.config.settleSeconds ?? 5) * 1000;
+        const filePath = path.join(this.savePath, fileName);
+        const snapshot = signature ?? this.statSignature(filePath);
+
+        clearTimeout(this.settleTimers.get(fileName));
+        this.settleTimers.set(fileName, setTimeout(async () => {
+            this.settleTimers.delete(fileName);
+            const current = this.statSignature(filePath);
+            if (!current) return; // Deleted or renamed away (e.g. a temporary file)
+            if (current !== snapshot) {
+                this.scheduleSettledCheck(fileName, current);
+                return;
             }
+            this.logToFile(`Save settled: ${fileName}`);
+            await this.runCheck();
+        }, settleMs));
+    }
+
+    /**
+     * Runs checkForChanges, making sure the watcher and the fallback poll never overlap.
+     * A request that arrives mid-check queues exactly one follow-up run.
+     */
+    async runCheck() {
+        if (this.checkInProgress) {
+            this.checkQueued = true;
+            return;
+        }
+        this.checkInProgress = true;
+        try {
+            do {
+                this.checkQueued = false;
+                await this.checkForChanges();
+            } while (this.checkQueued);
+        } finally {
+            this.checkInProgress = false;
+        }
+    }
+
+    /**
+     * Uploads a single world if its contents changed since its last backup, or to the
+     * destinations that failed to take its current contents (`pendingDestinations`).
+     * Returns true when an upload round was attempted.
+     */
+    async backupSave(save) {
+        const world = this.getWorldState(save.name);
+        const configured = getDestinations(this.config).map(d => d.provider.id);
+        const pending = (world.pendingDestinations || []).filter(id => configured.includes(id));
+
+        // Skip reading the whole save when nothing about it changed since the last hash
+        const signature = this.statSignature(save.path);
+        if (signature === world.rejectedSignature) return false;
+        if (signature === world.signature && pending.length === 0) return false;
+
+        const currentHash = signature === world.signature ? world.hash : await this.calculateHash(save.path);
+        // Unchanged contents only still need the destinations that missed them
+        const only = world.hash === currentHash ? pending : null;
+        if (only?.length === 0) {
+            world.signature = signature;
+            await this.persistState();
+            return false;
+        }
+        if (only) this.logToFile(`Retrying ${save.name} on: ${only.join(', ')}`);
+
+        // Never ship a corrupt or half-written save; it is retried once the file changes again
+        try {
+            await validateSaveArchive(save.path);
         } catch (error) {
-            console.error('Error:', error.message);
+            world.rejectedSignature = signature;
+            await this.persistState(); // Don't validate and report the same corrupt save after a restart
+            console.error(`❌ Skipping ${save.name}: ${error.message}`);
+            this.logToFile(`Rejected ${save.name}: ${error.message}`);
+            return false;
         }
+        world.rejectedSignature = null;
+
+        this.logToFile(`Change detected in: ${save.name}`);
+        const formattedName = this.formatBackupName(save.name);
+        const metadata = await readSaveMetadata(save.path);
+        const sha256 = await sha256File(save.path);
+        const results = await this.uploadToCloud(save.path, formattedName, metadata, sha256, save.name, only);
+
+        this.recordHistory(save.name, formattedName, results, metadata);
+
+        // Retry on the next check if no copy left the machine
+        if (!results.some(r => r.ok)) {
+            await this.persistState();
+            await this.notifyUpload(save.name, formattedName, results);
+            return true;
+        }
+
+        const downloadUrl = results.find(r => r.ok && r.link)?.link;
+        world.lastBackupAt = Date.now();
+        if (downloadUrl) {
+            world.lastLink = downloadUrl;
+            this.state.lastLink = downloadUrl;
+            this.state.lastLinkDate = new Date(world.lastBackupAt).toLocaleString();
+        }
+        world.hash = currentHash;
+        world.signature = signature;
+        world.pendingDestinations = results.filter(r => !r.ok).map(r => r.service);
+        await this.persistState();
+
+        await this.notifyUpload(save.name, formattedName, results, metadata, sha256, statSync(save.path).size);
+        await this.pruneAfterUpload(formattedName, results);
+        return true;
+    }
+
+    recordHistory(world, fileName, results, metadata = null) {
+        this.state.history.push({
+            world,
+            fileName,
+            at: Date.now(),
+            metadata,
+            results: results.map(({ service, ok, link, error, duplicateOf }) => ({ service, ok, link, error, duplicateOf }))
+        });
+    }
+
+    /**
+     * Metadata recorded when a backup was uploaded from this machine, if we still have it.
+     */
+    findBackupMetadata(fileName) {
+        for (let i = this.state.history.length - 1; i >= 0; i--) {
+            if (this.state.history[i].fileName === fileName) return this.state.history[i].metadata || null;
+        }
+        return null;
+    }
+
+    async checkForChanges() {
+        const saves = await this.getSaves();
+        let changed = 0;
+
+        // Each world is handled on its own so one failing save doesn't block the rest
+        for (const save of saves) {
+            try {
+                if (await this.backupSave(save)) changed++;
+            } catch (error) {
+                console.error(`Error backing up ${save.name}:`, error.message);
+                this.logToFile(`Backup failed for ${save.name}: ${error.message}`);
+                await this.reportFailure('backup', { type: 'failure', world: save.name, error: error.message });
+            }
+        }
+
+        if (changed === 0) {
+            console.log('No changes detected (Manual check).');
+        }
+        await this.checkStaleness(saves);
+    }
+
+    /**
+     * Watchdog run after every check: alerts when saves keep changing but no backup
+     * succeeded for `alerts.staleHours`.
+     */
+    async checkStaleness(saves) {
+        this.state.alerts ??= createAlertState();
+        const lastSuccessAt = this.lastSuccessfulBackupAt();
+        // Saves matching their recorded signature are backed up, or were written by a sync,
+        // download or restore (markWorldSynced); only the others are unbacked changes
+        const changed = saves.filter(save => this.statSignature(save.path) !== this.state.worlds[save.name]?.signature);
+        const lastChangeAt = Math.max(0, ...changed.map(save => save.mtime));
+        if (!isStale(lastSuccessAt, lastChangeAt, this.config.alerts)) return;
+
+        const lastError = this.state.alerts.failing.backup?.lastError || null;
+        console.warn(`⏰ No successful backup since ${new Date(lastSuccessAt).toLocaleString()}, although saves changed.`);
+        await this.reportFailure('stale', { type: 'stale', error: lastError, since: lastSuccessAt });
+    }
+
+    /**
+     * The SHA-256 a cloud file should have: from the file's own properties when the backend
+     * stores it, otherwise from the local manifest. Null if the backup is unknown.
+     */
+    expectedChecksum(file) {
+        return file.sha256 || this.manifest.files[file.name]?.sha256 || null;
+    }
+
+    /**
+     * Validates a download sitting in its temporary location and only then moves it over the
+     * real save, so a corrupt or partial download never replaces a good local file.
+     * Encrypted backups are decrypted first; when `expectedSha256` is known the (decrypted)
+     * save must match it exactly.
+     */
+    async installDownloadedSave(tempPath, targetPath, expectedSha256 = null) {
+        const fileName = path.basename(targetPath);
+        try {
+            if (await isEncryptedFile(tempPath)) {
+                if (!this.config.encryption?.passphrase) {
+                    throw new Error('This backup is encrypted. Set the passphrase under General Settings > Encrypt Backups first.');
+                }
+                const encryptedPath = `${tempPath}.enc`;
+                await fs.rename(tempPath, encryptedPath);
+                try {
+                    await decryptFile(encryptedPath, tempPath, this.config.encryption.passphrase);
+                } finally {
+                    await fs.rm(encryptedPath, { force: true });
+                }
+                console.log(`🔓 Decrypted ${fileName}`);
+            }
+            if (expectedSha256) {
+                await verifyChecksum(tempPath, fileName, expectedSha256);
+                console.log(`🔒 SHA-256 verified for ${fileName}`);
+            } else {
+                console.warn(`⚠️  No checksum recorded for ${fileName}, only the archive structure can be checked.`);
+            }
+            await validateSaveArchive(tempPath);
+        } catch (error) {
+            console.error(`\n🚨 ${fileName} failed verification and was discarded!`);
+            await fs.rm(tempPath, { force: true });
+            this.logToFile(`Rejected download ${fileName}: ${error.message}`);
+            throw new Error(`Downloaded file was rejected, your local save was left untouched. ${error.message}`);
+        }
+        await fs.rename(tempPath, targetPath);
+    }
+
+    getLocalBackupsDir() {
+        return path.join(process.cwd(), 'backups');
+    }
+
+    /**
+     * Lists the pre-sync safety copies in backups/, newest first.
+     */
+    async listLocalBackups() {
+        const backupsDir = this.getLocalBackupsDir();
+        let files;
+        try {
+            files = await fs.readdir(backupsDir);
+        } catch (e) {
+            return [];
+        }
+
+        return files.filter(f => f.includes('_localbackup_')).map(f => {
+            const stats = statSync(path.join(backupsDir, f));
+            return {
+                name: f,
+                path: path.join(backupsDir, f),
+                // Name of the save this snapshot was taken from
+                originalName: `${f.substring(0, f.lastIndexOf('_localbackup_'))}.zip`,
+                size: stats.size,
+                mtime: stats.mtime.getTime()
+            };
+        }).sort((a, b) => b.mtime - a.mtime);
+    }
+
+    /**
+     * Takes the safety copy of a save that is about to be replaced. Returns its path (null when
+     * there is no save to replace) and throws when no copy could be made, so the caller leaves
+     * the save alone.
+     */
+    async snapshotBeforeReplace(targetPath) {
+        if (!existsSync(targetPath)) return null;
+        const safetyCopy = await this.createLocalBackup(targetPath);
+        if (!safetyCopy) {
+            throw new Error(`No safety copy of ${path.basename(targetPath)} could be made, so it was left untouched.`);
+        }
+        return safetyCopy;
     }
 
     async createLocalBackup(filePath) {
         try {
-            const backupsDir = path.join(process.cwd(), 'backups');
+            const backupsDir = this.getLocalBackupsDir();
             await fs.mkdir(backupsDir, { recursive: true });
             
             const fileName = path.basename(filePath);
@@ -157,38 +791,90 @@ class FactorioBackup {
             this.logToFile(`Local backup created: ${backupPath}`);
             console.log(`\n💾 Local backup created at: backups/${backupName}`);
             
-            // Limit to 5 backups
-            const files = await fs.readdir(backupsDir);
-            const backupFiles = files.filter(f => f.includes('_localbackup_')).sort((a, b) => {
-                return statSync(path.join(backupsDir, b)).mtime.getTime() - statSync(path.join(backupsDir, a)).mtime.getTime();
-            });
-            
-            if (backupFiles.length > 5) {
-                const toDelete = backupFiles.slice(5);
-                for (const file of toDelete) {
-                    await fs.unlink(path.join(backupsDir, file));
-                }
+            // Keep only the configured number of snapshots
+            const keep = this.config.localBackupRetention || 5;
+            const backupFiles = await this.listLocalBackups();
+            for (const backup of backupFiles.slice(keep)) {
+                await fs.unlink(backup.path);
             }
+            return backupPath;
         } catch (error) {
             console.error('Error creating local backup:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Lists the safety snapshots and restores the chosen one into the saves folder,
+     * snapshotting the save it replaces first.
+     */
+    async restoreLocalBackup() {
+        console.log('\n--- Local Safety Backups ---');
+        const backups = await this.listLocalBackups();
+        if (backups.length === 0) {
+            console.log('No local safety backups found in backups/.');
+            return;
         }
+
+        const choices = backups.map(backup => ({
+            name: `${backup.name} (${new Date(backup.mtime).toLocaleString()}) - ${(backup.size / 1024 / 1024).toFixed(2)} MB`,
+            value: backup
+        }));
+        choices.push({ name: 'Cancel', value: null });
+
+        const selected = await select({
+            message: 'Select a snapshot to restore:',
+            choices
+        });
+        if (!selected) return;
+
+        const targetPath = path.join(this.savePath, selected.originalName);
+        const confirm = await select({
+            message: `Restore over ${selected.originalName}?`,
+            choices: [
+                { name: 'Yes', value: true },
+                { name: 'No', value: false }
+            ]
+        });
+        if (!confirm) return;
+
+        // Stage the snapshot first: taking the safety copy below may prune the selected one
+        const stagingPath = `${targetPath}.restoring`;
+        await fs.mkdir(this.savePath, { recursive: true });
+        await fs.copyFile(selected.path, stagingPath);
+        try {
+            await this.snapshotBeforeReplace(targetPath);
+            await fs.rename(stagingPath, targetPath);
+        } catch (error) {
+            await fs.rm(stagingPath, { force: true });
+            throw error;
+        }
+
+        console.log(`✅ Restored ${selected.name} to ${targetPath}`);
+        this.logToFile(`Local backup restored: ${selected.name} -> ${selected.originalName}`);
+
+        // Update baseline so we don't immediately re-upload
+        await this.markWorldSynced(targetPath);
     }
 
     async syncFromCloud() {
-        if (this.config.cloudService !== 'google-drive') return;
+        const storage = this.getStorage();
+        if (!storage) return;
+        const { provider, settings } = storage;
         
         console.log('\n🔄 Checking cloud for newer saves...');
         try {
-            const credentialsPath = this.config.googleDrive?.credentialsPath || './credentials.json';
-            const folderId = this.config.googleDrive?.folderId || null;
-            
-            const cloudFiles = await listFilesFromGoogleDrive(credentialsPath, folderId);
+            const cloudFiles = await provider.list(settings);
             if (cloudFiles.length === 0) {
                 console.log('☁️ No saves found in the cloud.');
                 return;
             }
             
-            const latestCloudSave = cloudFiles[0];
+            const latestCloudSave = cloudFiles.find(file => isSaveIncluded(this.cloudFileSaveName(file), this.config.saveFilter));
+            if (!latestCloudSave) {
+                console.log(`☁️ No cloud saves match the save filter (${describeSaveFilter(this.config.saveFilter)}).`);
+                return;
+            }
             const cloudTime = new Date(latestCloudSave.modifiedTime).getTime();
             
             const localSave = await this.getLatestSave();
@@ -205,20 +891,28 @@ class FactorioBackup {
                 }
                 
                 console.log(`\n🔄 Forcing synchronization to prevent desyncs...`);
-                if (localSave) {
-                    await this.createLocalBackup(localSave.path);
-                }
+                // The cloud copy replaces the local save it was made from
+                const targetPath = path.join(this.savePath, this.cloudFileSaveName(latestCloudSave));
+                // Local changes that never made it into a backup are about to be overwritten
+                const conflict = await this.hasUnbackedChanges(targetPath);
+                const safetyCopy = await this.snapshotBeforeReplace(targetPath);
+                console.log(`📥 Downloading ${latestCloudSave.name} from ${provider.name}...`);
                 
-                const targetPath = path.join(this.savePath, latestCloudSave.name);
-                console.log(`📥 Downloading ${latestCloudSave.name} from Google Drive...`);
-                
-                await downloadFromGoogleDrive(credentialsPath, latestCloudSave.id, targetPath);
+                const tempPath = `${targetPath}.download`;
+                await provider.download(settings, latestCloudSave, tempPath);
+                await this.installDownloadedSave(tempPath, targetPath, this.expectedChecksum(latestCloudSave));
                 console.log(`✅ Sync complete! Downloaded to ${targetPath}`);
                 this.logToFile(`Cloud sync downloaded: ${latestCloudSave.name}`);
                 
                 // Update baseline so we don't immediately re-upload
-                this.startTime = Date.now();
-                this.lastHash = await this.calculateHash(targetPath);
+                await this.markWorldSynced(targetPath);
+
+                const event = { world: path.basename(targetPath), fileName: latestCloudSave.name, service: provider.name };
+                if (conflict) {
+                    this.logToFile(`Sync conflict: unsaved local changes to ${event.world} were replaced.`);
+                    await this.sendEvent({ ...event, type: 'conflict', safetyCopy: safetyCopy && path.basename(safetyCopy) });
+                }
+                await this.sendEvent({ ...event, type: 'sync-download' });
             } else {
                 console.log('✅ Local save is up to date.');
             }
@@ -228,13 +922,13 @@ class FactorioBackup {
         await new Promise(resolve => setTimeout(resolve, 2000));
     }
 
-    async downloadLatestFromGDrive() {
-        if (this.config.cloudService !== 'google-drive') return;
-        console.log('\n--- Download Backup from Google Drive ---');
+    async downloadFromCloud() {
+        const storage = this.getStorage();
+        if (!storage) return;
+        const { provider, settings } = storage;
+        console.log(`\n--- Download Backup from ${provider.name} ---`);
         try {
-            const credentialsPath = this.config.googleDrive?.credentialsPath || './credentials.json';
-            const folderId = this.config.googleDrive?.folderId || null;
-            const cloudFiles = await listFilesFromGoogleDrive(credentialsPath, folderId);
+            const cloudFiles = await provider.list(settings);
             
             if (cloudFiles.length === 0) {
                 console.log('☁️ No saves found in the cloud.');
@@ -242,10 +936,13 @@ class FactorioBackup {
                 return;
             }
             
-            const choices = cloudFiles.slice(0, 10).map(file => ({
-                name: `${file.name} (${new Date(file.modifiedTime).toLocaleString()}) - ${(file.size / 1024 / 1024).toFixed(2)} MB`,
-                value: file
-            }));
+            const choices = cloudFiles.slice(0, 10).map(file => {
+                const summary = describeSave(file.metadata || this.findBackupMetadata(file.name));
+                return {
+                    name: `${file.name} (${new Date(file.modifiedTime).toLocaleString()}) - ${(file.size / 1024 / 1024).toFixed(2)} MB${summary ? ` - ${summary}` : ''}`,
+                    value: file
+                };
+            });
             choices.push({ name: 'Cancel', value: null });
             
             const selected = await select({
@@ -254,16 +951,14 @@ class FactorioBackup {
             });
             
             if (selected) {
-                const localSave = await this.getLatestSave();
-                if (localSave) {
-                    await this.createLocalBackup(localSave.path);
-                }
-                const targetPath = path.join(this.savePath, selected.name);
+                const targetPath = path.join(this.savePath, decryptedName(selected.name));
+                await this.snapshotBeforeReplace(targetPath);
                 console.log(`📥 Downloading ${selected.name}...`);
-                await downloadFromGoogleDrive(credentialsPath, selected.id, targetPath);
+                const tempPath = `${targetPath}.download`;
+                await provider.download(settings, selected, tempPath);
+                await this.installDownloadedSave(tempPath, targetPath, this.expectedChecksum(selected));
                 console.log(`✅ Download complete! Saved to ${targetPath}`);
-                this.startTime = Date.now();
-                this.lastHash = await this.calculateHash(targetPath);
+                await this.markWorldSynced(targetPath);
             }
         } catch (e) {
             console.error('Error:', e.message);
@@ -276,14 +971,20 @@ class FactorioBackup {
         readline.emitKeypressEvents(process.stdin);
         if (process.stdin.isTTY) process.stdin.setRawMode(true);
 
+        // The folder watcher reacts to saves; the interval is only a fallback poll
         const startAutoBackup = () => {
             if (this.monitorInterval) clearInterval(this.monitorInterval);
             const intervalMs = this.config.checkInterval * 60 * 1000;
             this.lastCheckTime = Date.now();
             this.monitorInterval = setInterval(async () => {
-                await this.checkForChanges();
+                await this.runCheck();
                 this.lastCheckTime = Date.now();
             }, intervalMs);
+            this.startWatcher();
+        };
+        const stopAutoBackup = () => {
+            clearInterval(this.monitorInterval);
+            this.stopWatcher();
         };
         //default expanded menu items
         const expanded = new Set([]);
@@ -301,12 +1002,42 @@ class FactorioBackup {
             console.log(`┌───────────────────────────────────────────────────────────────┐`);
             console.log(`│                     FACTORIO BACKUP MONITOR                   │`);
             console.log(`├─────────────┬─────────────────────────────────────────────────┤`);
-            console.log(`│ Service     │ ${this.config.cloudService.toUpperCase().padEnd(47)} │`);
-            console.log(`│ Interval    │ ${(this.config.checkInterval + ' mins').padEnd(47)} │`);
+            console.log(`│ Service     │ ${getDestinations(this.config).map(d => d.provider.id.toUpperCase()).join(' + ').padEnd(47).substring(0, 47)} │`);
+            const detection = this.watcher
+                ? `Watching folder (settle ${this.config.settleSeconds ?? 5}s), poll ${this.config.checkInterval} mins`
+                : `Polling every ${this.config.checkInterval} mins`;
+            console.log(`│ Interval    │ ${detection.padEnd(47).substring(0, 47)} │`);
             console.log(`│ Save Path   │ ${this.savePath.padEnd(47).substring(0, 47)} │`);
             console.log(`├─────────────┴─────────────────────────────────────────────────┤`);
-            console.log(`│ Last Link   │ ${this.lastLink.padEnd(47).substring(0, 47)} │`);
-            console.log(`│ Link Date   │ ${this.lastLinkDate.padEnd(47).substring(0, 47)} │`);
+            console.log(`│ Last Link   │ ${(this.state.lastLink || 'No backups yet').padEnd(47).substring(0, 47)} │`);
+            console.log(`│ Link Date   │ ${(this.state.lastLinkDate || 'N/A').padEnd(47).substring(0, 47)} │`);
+            const uploads = this.state.history.filter(entry => entry.results.some(r => r.ok)).length;
+            const historyText = `${uploads} uploads since ${new Date(this.state.trackingSince).toLocaleDateString()}`;
+            console.log(`│ History     │ ${historyText.padEnd(47).substring(0, 47)} │`);
+            // Most recently backed up worlds first
+            const worlds = Object.entries(this.state.worlds)
+                .filter(([, world]) => world.lastBackupAt)
+                .sort(([, a], [, b]) => b.lastBackupAt - a.lastBackupAt)
+                .slice(0, 5);
+            if (worlds.length > 0) {
+                console.log(`├─────────────┼─────────────────────────────────────────────────┤`);
+                for (const [name, world] of worlds) {
+                    const text = `${name} @ ${new Date(world.lastBackupAt).toLocaleString()}`;
+                    console.log(`│ World       │ ${text.padEnd(47).substring(0, 47)} │`);
+                }
+            }
+            const destinations = getDestinations(this.config);
+            if (destinations.length > 1) {
+                console.log(`├─────────────┼─────────────────────────────────────────────────┤`);
+                for (const { provider } of destinations) {
+                    const status = this.state.destinationStatus[provider.id];
+                    const text = !status ? 'Waiting for first backup'
+                        : status.duplicateOf ? `OK, already stored (${status.date})`
+                        : status.ok ? `OK (${status.date})`
+                            : `FAILED: ${status.error}`;
+                    console.log(`│ ${provider.name.padEnd(11).substring(0, 11)} │ ${text.padEnd(47).substring(0, 47)} │`);
+                }
+            }
             console.log(`└───────────────────────────────────────────────────────────────┘`);
 
             // 2. Render Countdown
@@ -314,7 +1045,7 @@ class FactorioBackup {
             const remaining = Math.max(0, Math.floor((nextCheck - Date.now()) / 1000));
             const mins = Math.floor(remaining / 60);
             const secs = remaining % 60;
-            console.log(`  ⏱️  Next check in: ${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`);
+            console.log(`  ⏱️  Next ${this.watcher ? 'fallback ' : ''}check in: ${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`);
             console.log('');
 
             // 3. Build Menu Items
@@ -326,15 +1057,19 @@ class FactorioBackup {
             if (isActionsExpanded) {
                 menuItems.push({ label: `  ├─⪢ 🔍 Force Check Now`, value: 'check', type: 'action' });
                 menuItems.push({ label: `  ├─⪢ 📤 Manual Upload`, value: 'upload', type: 'action' });
-                if (this.config.cloudService === 'google-drive') {
-                    menuItems.push({ label: `  ├─⪢ 📥 Download from Google Drive`, value: 'download_gdrive', type: 'action' });
+                const storage = this.getStorage();
+                if (storage) {
+                    menuItems.push({ label: `  ├─⪢ 📥 Download from ${storage.provider.name}`, value: 'download_cloud', type: 'action' });
                 }
                 menuItems.push({
-                    label: `  ├─⪢ 📥 Download from Discord`,
+                    label: `  ├─⪢ 📥 Browse Discord Backups`,
                     value: 'download',
                     type: 'action',
                     disabled: !(this.config.discordBotToken && this.config.discordChannelId)
                 });
+                menuItems.push({ label: `  ├─⪢ 🔗 Test a Download Link`, value: 'test_link', type: 'action' });
+                menuItems.push({ label: `  ├─⪢ 🛟 Restore Local Safety Backup`, value: 'restore_local', type: 'action' });
+                menuItems.push({ label: `  ├─⪢ 🧹 Preview Retention (Dry Run)`, value: 'retention_preview', type: 'action' });
                 menuItems.push({ label: `  ├─⪢ 🧪 Generate Test Save File`, value: 'generate_test_file', type: 'action' });
                 menuItems.push({ label: `  └─⪢ 📋 View Monitor Log`, value: 'view_log', type: 'action' });
             }
@@ -348,17 +1083,21 @@ class FactorioBackup {
                 menuItems.push({ label: `  ├──${isCloudExpanded ? '⬇' : '➡'} 🌐 Cloud Service (${this.config.cloudService.toUpperCase()})`, value: 'toggle_config_cloud', type: 'toggle', node: 'config_cloud' });
                 if (isCloudExpanded) {
                     menuItems.push({ label: `  │  └─⪢ ☁️  Select Service`, value: 'conf_cloud_service', type: 'action' });
-                    if (this.config.cloudService === 'google-drive') {
-                        menuItems.push({ label: `  │  └─⪢ 🔑 GDrive Credentials`, value: 'conf_gdrive_credentials', type: 'action' });
+                    menuItems.push({ label: `  │  └─⪢ 🗂️  Backup Destinations`, value: 'conf_destinations', type: 'action' });
+                    for (const { provider } of getDestinations(this.config)) {
+                        menuItems.push({ label: `  │  └─⪢ 🔑 ${provider.name} Settings`, value: 'conf_storage_settings', type: 'action', providerId: provider.id });
                     }
                 }
 
                 // Discord Sub-section
                 const isDiscordExpanded = expanded.has('config_discord');
-                menuItems.push({ label: `  ├──${isDiscordExpanded ? '⬇' : '➡'} 💬 Discord Notifications`, value: 'toggle_config_discord', type: 'toggle', node: 'config_discord' });
+                menuItems.push({ label: `  ├──${isDiscordExpanded ? '⬇' : '➡'} 💬 Notifications`, value: 'toggle_config_discord', type: 'toggle', node: 'config_discord' });
                 if (isDiscordExpanded) {
                     menuItems.push({ label: `  │  ├─⪢ 🔗 Webhook: ${this.config.discordWebhook ? 'Set' : 'None'}`, value: 'conf_discord_webhook', type: 'action' });
-                    menuItems.push({ label: `  │  └─⪢ 🤖 Download Bot: ${this.config.discordBotToken ? 'Configured' : 'Not Set'}`, value: 'conf_discord_bot', type: 'action' });
+                    menuItems.push({ label: `  │  ├─⪢ 🤖 Download Bot: ${this.config.discordBotToken ? 'Configured' : 'Not Set'}`, value: 'conf_discord_bot', type: 'action' });
+                    menuItems.push({ label: `  │  ├─⪢ 🔔 Notification Channels: ${getNotificationChannels(this.config).length} configured`, value: 'conf_notifications', type: 'action' });
+                    menuItems.push({ label: `  │  ├─⪢ 🚨 Alerts: ${describeAlerts(this.config.alerts)}`, value: 'conf_alerts', type: 'action' });
+                    menuItems.push({ label: `  │  └─⪢ 🎨 Message Templates: ${describeTemplates(this.config)}`, value: 'conf_templates', type: 'action' });
                 }
 
                 // General Sub-section
@@ -366,8 +1105,14 @@ class FactorioBackup {
                 menuItems.push({ label: `  └──${isGeneralExpanded ? '⬇' : '➡'} ⚙️  General Settings`, value: 'toggle_config_general', type: 'toggle', node: 'config_general' });
                 if (isGeneralExpanded) {
                     menuItems.push({ label: `     ├─⪢ ⏱️  Check Interval: ${this.config.checkInterval} mins`, value: 'conf_check_interval', type: 'action' });
+                    menuItems.push({ label: `     ├─⪢ 👁️  Watch Saves Folder: ${this.config.watchSaves === false ? 'Disabled' : `Enabled (settle ${this.config.settleSeconds ?? 5}s)`}`, value: 'conf_save_watching', type: 'action' });
+                    menuItems.push({ label: `     ├─⪢ 🔎 Save Filter: ${describeSaveFilter(this.config.saveFilter)}`, value: 'conf_save_filter', type: 'action' });
                     menuItems.push({ label: `     ├─⪢ 🏷️  Backup Prefix: ${this.config.backupPrefix || 'None'}`, value: 'conf_backup_prefix', type: 'action' });
-                    menuItems.push({ label: `     └─⪢ 🔒 Obfuscate Secrets: ${this.config.obfuscateSecrets ? 'Enabled' : 'Disabled'}`, value: 'conf_obfuscate_secrets', type: 'action' });
+                    menuItems.push({ label: `     ├─⪢ 🧹 Retention Policy: ${describeRetention(this.config.retention)}`, value: 'conf_retention', type: 'action' });
+                    menuItems.push({ label: `     ├─⪢ 🛟 Local Safety Backups: ${this.config.localBackupRetention || 5}`, value: 'conf_local_backups', type: 'action' });
+                    menuItems.push({ label: `     ├─⪢ 🧱 Incremental Backups: ${this.config.incrementalBackups ? 'Enabled' : 'Disabled'}`, value: 'conf_incremental_backups', type: 'action' });
+                    menuItems.push({ label: `     ├─⪢ 🔐 Encrypt Backups: ${this.config.encryption?.enabled ? 'Enabled' : 'Disabled'}`, value: 'conf_encryption', type: 'action' });
+                    menuItems.push({ label: `     └─⪢ 🔒 Secret Storage: ${SECRET_STORE_MODES[this.config.secretStore?.mode || 'off']}`, value: 'conf_secret_storage', type: 'action' });
                 }
             }
 
@@ -444,30 +1189,39 @@ class FactorioBackup {
                             switch (item.value) {
                                 case 'check':
                                     console.log('\nForcing manual check...');
-                                    await this.checkForChanges();
+                                    await this.runCheck();
                                     this.lastCheckTime = Date.now();
                                     break;
                                 case 'upload':
                                     await this.manualUpload();
                                     break;
-                                case 'download_gdrive':
-                                    clearInterval(this.monitorInterval);
-                                    await this.downloadLatestFromGDrive();
+                                case 'download_cloud':
+                                    stopAutoBackup();
+                                    await this.downloadFromCloud();
                                     startAutoBackup();
                                     break;
                                 case 'download':
-                                    await this.downloadLatestFromDiscord();
+                                    stopAutoBackup();
+                                    await this.browseDiscordBackups();
+                                    startAutoBackup();
+                                    break;
+                                case 'restore_local':
+                                    stopAutoBackup();
+                                    await this.restoreLocalBackup();
+                                    startAutoBackup();
+                                    break;
+                                case 'retention_preview':
+                                    await this.previewRetention();
+                                    break;
+                                case 'test_link':
+                                    await this.testLink();
                                     break;
                                 case 'generate_test_file':
                                     console.log('\nGenerating test save file...');
                                     try {
-                                        // fs is imported as "promises as fs", but fs.existsSync requires standard fs.
-                                        // Wait, the import says "import { promises as fs, statSync } from 'fs';"
-                                        // Let's use statSync or just mkdir with recursive to be safe.
                                         await fs.mkdir(this.savePath, { recursive: true });
                                         const testName = `_autosave-test_${Date.now()}.zip`;
-                                        const dummyContent = `This is a test file generated at ${new Date().toLocaleString()}`;
-                                        await Bun.write(path.join(this.savePath, testName), dummyContent);
+                                        await writeTestSave(path.join(this.savePath, testName));
                                         console.log(`✅ Test file created: ${testName}`);
                                         console.log('It will be picked up on the next check or you can force a check now.');
                                     } catch (err) {
@@ -488,8 +1242,12 @@ class FactorioBackup {
                                     await configureCloudService(this.config);
                                     configChanged = true;
                                     break;
-                                case 'conf_gdrive_credentials':
-                                    await configureGoogleDriveCredentials(this.config);
+                                case 'conf_destinations':
+                                    await configureDestinations(this.config);
+                                    configChanged = true;
+                                    break;
+                                case 'conf_storage_settings':
+                                    await configureStorageSettings(this.config, item.providerId);
                                     configChanged = true;
                                     break;
                                 case 'conf_discord_webhook':
@@ -503,6 +1261,18 @@ class FactorioBackup {
                                     await configureDiscordBot(this.config);
                                     configChanged = true;
                                     break;
+                                case 'conf_notifications':
+                                    await configureNotifications(this.config);
+                                    configChanged = true;
+                                    break;
+                                case 'conf_alerts':
+                                    await configureAlerts(this.config);
+                                    configChanged = true;
+                                    break;
+                                case 'conf_templates':
+                                    await configureNotificationTemplates(this.config);
+                                    configChanged = true;
+                                    break;
                                 case 'conf_check_interval':
                                     this.config.checkInterval = await number({
                                         message: 'Check interval (minutes):',
@@ -511,6 +1281,14 @@ class FactorioBackup {
                                     });
                                     configChanged = true;
                                     break;
+                                case 'conf_save_watching':
+                                    await configureSaveWatching(this.config);
+                                    configChanged = true;
+                                    break;
+                                case 'conf_save_filter':
+                                    await configureSaveFilter(this.config);
+                                    configChanged = true;
+                                    break;
                                 case 'conf_backup_prefix':
                                     this.config.backupPrefix = await input({
                                         message: 'Enter Backup Prefix (Leave empty for none):',
@@ -518,8 +1296,24 @@ class FactorioBackup {
                                     }) || null;
                                     configChanged = true;
                                     break;
-                                case 'conf_obfuscate_secrets':
-                                    this.config.obfuscateSecrets = !this.config.obfuscateSecrets;
+                                case 'conf_retention':
+                                    await configureRetention(this.config);
+                                    configChanged = true;
+                                    break;
+                                case 'conf_local_backups':
+                                    await configureLocalBackupRetention(this.config);
+                                    configChanged = true;
+                                    break;
+                                case 'conf_incremental_backups':
+                                    await configureIncrementalBackups(this.config);
+                                    configChanged = true;
+                                    break;
+                                case 'conf_encryption':
+                                    await configureEncryption(this.config);
+                                    configChanged = true;
+                                    break;
+                                case 'conf_secret_storage':
+                                    await configureSecretStorage(this.config);
                                     configChanged = true;
                                     break;
                                 case 'exit':
@@ -535,7 +1329,7 @@ class FactorioBackup {
                             console.error(`\n❌ Error: ${e.message}`);
                         } finally {
                             // Ensure the user always sees the prompt to return to the menu
-                            let countdown = (item.value === 'view_log') ? -1 : 5;
+                            let countdown = ['view_log', 'retention_preview', 'test_link'].includes(item.value) ? -1 : 5;
                             const returnMsg = () => {
                                 if (countdown > 0) {
                                     process.stdout.write(`\rPress any key to return to monitor... (Auto-return in ${countdown}s) `);
@@ -595,20 +1389,24 @@ class FactorioBackup {
         console.log('\n--- Manual Upload Menu ---');
         try {
             const files = await fs.readdir(this.savePath);
-            const saveFiles = files.filter(f => f.endsWith('.zip')).sort((a, b) => {
+            const saveFiles = files.filter(f => f.endsWith('.zip') && isSaveIncluded(f, this.config.saveFilter)).sort((a, b) => {
                 return statSync(path.join(this.savePath, b)).mtime.getTime() -
                     statSync(path.join(this.savePath, a)).mtime.getTime();
             });
 
             if (saveFiles.length === 0) {
-                console.log('No save files found in the directory.');
+                console.log(`No save files found in the directory (filter: ${describeSaveFilter(this.config.saveFilter)}).`);
                 return;
             }
 
-            const choices = saveFiles.map(f => ({
-                name: `${f} (${(statSync(path.join(this.savePath, f)).size / 1024 / 1024).toFixed(2)} MB)`,
-                value: f
-            }));
+            const choices = [];
+            for (const f of saveFiles) {
+                const summary = describeSave(await readSaveMetadata(path.join(this.savePath, f)));
+                choices.push({
+                    name: `${f} (${(statSync(path.join(this.savePath, f)).size / 1024 / 1024).toFixed(2)} MB)${summary ? ` - ${summary}` : ''}`,
+                    value: f
+                });
+            }
 
             choices.push({ name: 'Cancel', value: 'cancel' });
 
@@ -621,36 +1419,98 @@ class FactorioBackup {
                 const filePath = path.join(this.savePath, selectedFile);
                 const formattedName = this.formatBackupName(selectedFile);
 
-                const downloadUrl = await this.uploadToCloud(filePath, formattedName);
+                await validateSaveArchive(filePath);
+                const metadata = await readSaveMetadata(filePath);
+                const sha256 = await sha256File(filePath);
+                const results = await this.uploadToCloud(filePath, formattedName, metadata, sha256, selectedFile);
+                this.recordHistory(selectedFile, formattedName, results, metadata);
+                await this.persistState();
+                await this.notifyUpload(selectedFile, formattedName, results, metadata, sha256, statSync(filePath).size);
+                await this.pruneAfterUpload(formattedName, results);
+            }
+        } catch (error) {
+            console.error('Error listing files for manual upload:', error.message);
+        }
+    }
+
+    /**
+     * Pages through the Discord channel history (newest first), optionally filtered by world
+     * prefix, and downloads the backup the user picks.
+     */
+    async browseDiscordBackups() {
+        console.log('\n--- Discord Backup History ---');
+        try {
+            const query = (await input({
+                message: 'Only show backups starting with (world or prefix, leave empty for all):',
+                default: ''
+            })).trim().toLowerCase();
+            // Backup names start with the backup prefix, so the world is matched without it
+            const filter = query ? (backup) => [backup.fileName, this.cloudFileSaveName({ name: backup.fileName, saveName: backup.saveName })]
+                .some(name => name.toLowerCase().startsWith(query)) : null;
+
+            const pageStarts = [null]; // `before` cursor of every page visited, to go back
+            let page = 0;
+            while (true) {
+                console.log('🔍 Loading backups from Discord...');
+                const { backups, cursor } = await getBackupHistory(this.config.discordBotToken, this.config.discordChannelId, {
+                    before: pageStarts[page],
+                    count: DISCORD_HISTORY_PAGE_SIZE,
+                    filter
+                });
+                if (backups.length === 0 && page === 0 && !cursor) {
+                    console.log(`No backups found${query ? ` starting with "${query}"` : ''}.`);
+                    await new Promise(resolve => setTimeout(resolve, 2000));
+                    return;
+                }
+
+                const choices = backups.map(backup => ({
+                    name: `${backup.fileName} (${new Date(backup.timestamp).toLocaleString()})`,
+                    value: backup,
+                    description: backup.url
+                }));
+                // A filtered search gives up after a stretch of history, which may hold no match at all
+                const searchStopped = cursor && backups.length < DISCORD_HISTORY_PAGE_SIZE;
+                if (backups.length === 0) console.log(`No backups${query ? ` starting with "${query}"` : ''} in this part of the channel history.`);
+                if (cursor) choices.push({ name: searchStopped ? 'Search older messages ➡' : 'Older backups ➡', value: 'older' });
+                if (page > 0) choices.push({ name: '⬅ Newer backups', value: 'newer' });
+                choices.push({ name: 'Cancel', value: 'cancel' });
+
+                const selected = await select({
+                    message: `Select a backup to download (page ${page + 1}):`,
+                    choices,
+                    pageSize: DISCORD_HISTORY_PAGE_SIZE + 3
+                });
 
-                if (downloadUrl && this.config.discordWebhook) {
-                    await sendNotification(
-                        this.config.discordWebhook,
-                        formattedName,
-                        downloadUrl,
-                        this.config.cloudService.charAt(0).toUpperCase() + this.config.cloudService.slice(1)
-                    );
+                if (selected === 'cancel') return;
+                if (selected === 'older') {
+                    pageStarts[++page] = cursor;
+                } else if (selected === 'newer') {
+                    page--;
+                } else {
+                    await this.downloadDiscordBackup(selected);
+                    return;
                 }
             }
         } catch (error) {
-            console.error('Error listing files for manual upload:', error.message);
+            console.error('Failed to browse Discord history:', error.message);
+            await new Promise(resolve => setTimeout(resolve, 2000));
         }
     }
 
-    async downloadLatestFromDiscord() {
-        console.log('\n--- Download Latest Backup from Discord ---');
+    async downloadDiscordBackup(backup) {
         try {
-            const latest = await getLatestBackupUrl(this.config.discordBotToken, this.config.discordChannelId);
-            const dateStr = new Date(latest.timestamp).toLocaleString();
+            const dateStr = new Date(backup.timestamp).toLocaleString();
 
             console.log(`\n┌───────────────────────────────────────────────────────────────┐`);
-            console.log(`│                   LATEST BACKUP INFO (DISCORD)                │`);
+            console.log(`│                      BACKUP INFO (DISCORD)                    │`);
             console.log(`├─────────────┬─────────────────────────────────────────────────┤`);
-            console.log(`│ File Name   │ ${latest.fileName.padEnd(47).substring(0, 47)} │`);
+            console.log(`│ File Name   │ ${backup.fileName.padEnd(47).substring(0, 47)} │`);
             console.log(`│ Date        │ ${dateStr.padEnd(47).substring(0, 47)} │`);
             console.log(`│ Source      │ Discord Bot                                     │`);
             console.log(`├─────────────┴─────────────────────────────────────────────────┤`);
-            console.log(`│ Link: ${latest.url}`);
+            console.log(backup.parts
+                ? `│ Stored as ${backup.parts.length} Discord attachment(s)`
+                : `│ Link: ${backup.url}`);
             console.log(`└───────────────────────────────────────────────────────────────┘`);
 
             const confirm = await select({
@@ -662,35 +1522,43 @@ class FactorioBackup {
             });
 
             if (confirm) {
-                const targetPath = path.join(this.savePath, latest.fileName);
+                const targetPath = path.join(this.savePath, decryptedName(backup.fileName));
+                const tempPath = `${targetPath}.download`;
+                await this.snapshotBeforeReplace(targetPath);
 
-                // Resolve the direct link if it's a landing page
-                console.log(`🔍 Resolving source link...`);
-                const directUrl = await resolveDirectLink(latest.url);
-                console.log(`🌐 Final download URL: ${directUrl}`);
+                if (backup.parts) {
+                    // Posted as attachments: reassemble the parts from the channel
+                    await downloadAttachmentBackup(this.config.discordBotToken, this.config.discordChannelId, backup, tempPath);
+                } else {
+                    // Resolve the direct link if it's a landing page
+                    console.log(`🔍 Resolving source link...`);
+                    const directUrl = await resolveDirectLink(backup.url, { discordBotToken: this.config.discordBotToken });
+                    console.log(`🌐 Final download URL: ${directUrl}`);
 
-                console.log(`📥 Downloading ${latest.fileName} to saves folder...`);
+                    console.log(`📥 Downloading ${backup.fileName} to saves folder...`);
 
-                const response = await fetch(directUrl);
+                    const response = await fetch(directUrl);
 
-                // Safety check: ensure we are not downloading an HTML error page
-                const contentType = response.headers.get('content-type');
-                if (contentType && contentType.includes('text/html')) {
-                    const errorText = await response.text();
-                    if (errorText.includes('Currently receiving high amount of requests')) {
-                        throw new Error('Rootz is currently overloaded. Wait a few seconds and try downloading again.');
+                    // Safety check: ensure we are not downloading an HTML error page
+                    const contentType = response.headers.get('content-type');
+                    if (contentType && contentType.includes('text/html')) {
+                        const errorText = await response.text();
+                        if (errorText.includes('Currently receiving high amount of requests')) {
+                            throw new Error('Rootz is currently overloaded. Wait a few seconds and try downloading again.');
+                        }
+                        const hint = findResolver(backup.url)?.hint;
+                        throw new Error(`The resolved link points to an HTML page instead of a file. ${hint || 'The cloud service might be blocking the request or rate-limiting.'}`);
                     }
-                    throw new Error('The resolved link points to an HTML page instead of a file. The cloud service might be blocking the request or rate-limiting.');
-                }
 
-                if (!response.ok) throw new Error(`Download failed: ${response.status} ${response.statusText}`);
+                    if (!response.ok) throw new Error(`Download failed: ${response.status} ${response.statusText}`);
 
-                console.log(`📥 Downloading ${latest.fileName} to saves folder...`);
-
-                await Bun.write(targetPath, response);
+                    await Bun.write(tempPath, response);
+                }
+                await this.installDownloadedSave(tempPath, targetPath, backup.sha256 || this.manifest.files[backup.fileName]?.sha256);
 
                 const finalSize = statSync(targetPath).size;
                 console.log(`✅ File downloaded successfully! (${(finalSize / 1024 / 1024).toFixed(2)} MB)`);
+                await this.markWorldSynced(targetPath);
             }
         } catch (error) {
             console.error('Failed to download from Discord:', error.message);
@@ -701,7 +1569,13 @@ class FactorioBackup {
 // --- Main Execution ---
 
 async function main() {
-    let config = await loadConfig();
+    let config;
+    try {
+        config = await loadConfig();
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    }
 
     if (!config) {
         config = await runInteractiveSetup();
@@ -714,7 +1588,10 @@ async function main() {
         console.log('Configuration loaded from config.json');
     }
 
-    const backup = new FactorioBackup(config);
+    const state = await loadState();
+    await saveState(state); // Pin trackingSince on first launch
+    const manifest = await loadManifest();
+    const backup = new FactorioBackup(config, state, manifest);
     await backup.monitor();
 }
 
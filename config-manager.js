@@ -2,33 +2,46 @@
 import { promises as fs, existsSync } from 'fs';
 import path from 'path';
 import os from 'os';
-import { select, input, number } from '@inquirer/prompts';
-import crypto from 'crypto';
+import { select, input, number, password, checkbox } from '@inquirer/prompts';
+import { listProviders, getProvider, getProviderSettings, getDestinations, supportsIncrementalBackups } from './services/storage.js';
+import { DEFAULT_RETENTION, describeRetention } from './retention.js';
+import { DEFAULT_SAVE_FILTER, describeSaveFilter, parsePatternList } from './save-filter.js';
+import { listNotifiers, getNotifier, getNotificationChannels, createChannel, notify, PRIMARY_DISCORD_CHANNEL } from './services/notifications.js';
+import { NOTIFICATION_EVENTS, DEFAULT_DISCORD_EVENTS, describeEvents } from './notification-events.js';
+import { DEFAULT_ALERTS, describeAlerts } from './alerts.js';
+import { DEFAULT_TEMPLATES, TEMPLATE_FIELDS, REQUIRED_FIELDS, PLACEHOLDERS, SAMPLE_EVENTS, getTemplate, parseColor, renderMessage, messageLines } from './notification-templates.js';
+import { SECRET_STORE_MODES, MASTER_PASSPHRASE_ENV, isSealed, isUnlocked, unlockSecretStore, changeSecretStore, selectSecretStore, commitSecretStore, sealSecret, openSecret } from './secret-store.js';
 
 const CONFIG_FILE = 'config.json';
-const SECRET_PREFIX = 'obf:';
-const SECRET_KEY = 'factorio-backup-secret-key'; // Fixed key for simplicity in this tool
-
-// Simple obfuscation (not military grade, just to hide from plain view)
-function obfuscate(value) {
-    if (!value || value.startsWith(SECRET_PREFIX)) return value;
-    const cipher = crypto.createCipheriv('aes-256-cbc', crypto.scryptSync(SECRET_KEY, 'salt', 32), Buffer.alloc(16, 0));
-    let encrypted = cipher.update(value, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    return SECRET_PREFIX + encrypted;
-}
 
-function deobfuscate(value) {
-    if (!value || !value.startsWith(SECRET_PREFIX)) return value;
-    try {
-        const encrypted = value.substring(SECRET_PREFIX.length);
-        const decipher = crypto.createDecipheriv('aes-256-cbc', crypto.scryptSync(SECRET_KEY, 'salt', 32), Buffer.alloc(16, 0));
-        let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-        decrypted += decipher.final('utf8');
-        return decrypted;
-    } catch (e) {
-        return value; // Return as is if decryption fails
+// Applies `transform` to every secret in the config: Discord credentials, the backup
+// encryption passphrase and every provider or notification channel setting declared with `secret: true`
+function transformSecrets(config, transform) {
+    if (config.discordWebhook) config.discordWebhook = transform(config.discordWebhook);
+    if (config.discordBotToken) config.discordBotToken = transform(config.discordBotToken);
+    if (config.encryption?.passphrase) config.encryption.passphrase = transform(config.encryption.passphrase);
+
+    for (const provider of listProviders()) {
+        const settings = config[provider.configKey];
+        if (!settings) continue;
+        for (const prompt of provider.prompts || []) {
+            if (prompt.secret && settings[prompt.key]) {
+                settings[prompt.key] = transform(settings[prompt.key]);
+            }
+        }
     }
+
+    for (const channel of config.notifications?.channels || []) {
+        for (const prompt of getNotifier(channel.type)?.prompts || []) {
+            if (prompt.secret && channel.settings?.[prompt.key]) {
+                channel.settings[prompt.key] = transform(channel.settings[prompt.key]);
+            }
+        }
+    }
+}
+
+async function askMasterPassphrase() {
+    return await password({ message: '🔑 Master passphrase (unlocks stored secrets):', mask: '*' });
 }
 
 // Helper function to find the correct save path
@@ -62,41 +75,69 @@ export function getSavePath() {
     return path.join(homeDir, '.factorio/saves');
 }
 
+/**
+ * Reads config.json and decrypts its secrets. Returns null when there is no usable config (the
+ * caller then runs the setup). Throws when the secret store can't be unlocked: starting the
+ * setup instead would overwrite the stored secrets.
+ */
 export async function loadConfig() {
+    if (!existsSync(CONFIG_FILE)) return null;
+    let config;
     try {
-        if (existsSync(CONFIG_FILE)) {
-            const data = await fs.readFile(CONFIG_FILE, 'utf-8');
-            const config = JSON.parse(data);
-
-            // Auto-deobfuscate known secrets
-            if (config.discordWebhook) config.discordWebhook = deobfuscate(config.discordWebhook);
-            if (config.discordBotToken) config.discordBotToken = deobfuscate(config.discordBotToken);
-            if (config.googleDrive && config.googleDrive.credentialsPath) {
-                config.googleDrive.credentialsPath = deobfuscate(config.googleDrive.credentialsPath);
-            }
+        config = JSON.parse(await fs.readFile(CONFIG_FILE, 'utf-8'));
+    } catch (e) {
+        console.error(`Error loading config (${e.message}), starting setup...`);
+        return null;
+    }
 
-            return config;
+    // Configs from before the secret store kept secrets in plain text or used the fixed-key
+    // `obf:` obfuscation (neither needs a key to read). Obfuscated ones, and those older than
+    // the setting, move to the key file like new installs; `obfuscateSecrets: false` stays off.
+    const needsMigration = !config.secretStore;
+    if (needsMigration) {
+        config.secretStore = changeSecretStore(config.obfuscateSecrets === false ? 'off' : 'keyfile');
+        delete config.obfuscateSecrets;
+    } else {
+        const storedValues = [];
+        transformSecrets(config, (value) => {
+            storedValues.push(value);
+            return value;
+        });
+        await unlockSecretStore(config.secretStore, askMasterPassphrase, storedValues);
+    }
+    transformSecrets(config, (value) => {
+        try {
+            return openSecret(value);
+        } catch (e) {
+            // Kept sealed as stored, so saving the config can't erase it
+            console.warn(`⚠️  ${e.message} Please re-enter it in the settings.`);
+            return value;
         }
-    } catch (e) {
-        console.error('Error loading config, starting setup...');
+    });
+
+    if (needsMigration) {
+        console.log('🔄 Migrating stored secrets to the new secret store...');
+        await saveConfig(config); // Seals gdrive-token.json too
     }
-    return null;
+    return config;
 }
 
 export async function saveConfig(config) {
     try {
         let configToSave = JSON.parse(JSON.stringify(config)); // Deep clone
+        const mode = config.secretStore?.mode || 'off';
+        const keyChanged = selectSecretStore(config.secretStore);
 
-        if (config.obfuscateSecrets) {
-            if (configToSave.discordWebhook) configToSave.discordWebhook = obfuscate(configToSave.discordWebhook);
-            if (configToSave.discordBotToken) configToSave.discordBotToken = obfuscate(configToSave.discordBotToken);
-            if (configToSave.googleDrive && configToSave.googleDrive.credentialsPath) {
-                configToSave.googleDrive.credentialsPath = obfuscate(configToSave.googleDrive.credentialsPath);
-            }
+        if (mode !== 'off') {
+            // First save of a new install: creates the key file
+            if (!keyChanged && !isUnlocked()) await unlockSecretStore(config.secretStore, askMasterPassphrase);
+            transformSecrets(configToSave, (value) => isSealed(value) ? value : sealSecret(value));
         }
 
-        await fs.writeFile(CONFIG_FILE, JSON.stringify(configToSave, null, 2));
-        console.log(`Configuration saved to ${CONFIG_FILE} (Obfuscation: ${config.obfuscateSecrets ? 'ON' : 'OFF'})`);
+        await fs.writeFile(CONFIG_FILE, JSON.stringify(configToSave, null, 2), { mode: 0o600 });
+        // Only now that config.json names the new key are the sealed files switched to it
+        if (keyChanged) commitSecretStore();
+        console.log(`Configuration saved to ${CONFIG_FILE} (Secrets: ${SECRET_STORE_MODES[mode]})`);
     } catch (e) {
         console.error('Error saving config:', e);
     }
@@ -109,12 +150,22 @@ export async function runInteractiveSetup(currentConfig = null) {
 
     let config = currentConfig || {
         cloudService: 'google-drive',
+        destinations: [],
         checkInterval: 5,
+        watchSaves: true,
+        settleSeconds: 5,
         discordWebhook: null,
         discordBotToken: null,
         discordChannelId: null,
         googleDrive: { credentialsPath: './credentials.json', folderId: null },
-        backupPrefix: null
+        backupPrefix: null,
+        localBackupRetention: 5,
+        saveFilter: { ...DEFAULT_SAVE_FILTER },
+        incrementalBackups: false,
+        encryption: { enabled: false, passphrase: null },
+        secretStore: { mode: 'keyfile' },
+        notifications: { discordEvents: [...DEFAULT_DISCORD_EVENTS], channels: [] },
+        alerts: { ...DEFAULT_ALERTS }
     };
 
     const expanded = new Set();
@@ -126,7 +177,7 @@ export async function runInteractiveSetup(currentConfig = null) {
         console.log(`┌───────────────────────────────────────────────────────────────┐`);
         console.log(`│                 FACTORIO SETUP CONFIGURATION                  │`);
         console.log(`├─────────────┬─────────────────────────────────────────────────┤`);
-        console.log(`│ Service     │ ${config.cloudService.toUpperCase().padEnd(47).substring(0, 47)} │`);
+        console.log(`│ Service     │ ${getDestinations(config).map(d => d.provider.id.toUpperCase()).join(' + ').padEnd(47).substring(0, 47)} │`);
         console.log(`│ Interval    │ ${(config.checkInterval + ' mins').padEnd(47).substring(0, 47)} │`);
         console.log(`│ Webhook     │ ${(config.discordWebhook ? 'CONNECTED' : 'NOT SET').padEnd(47).substring(0, 47)} │`);
         console.log(`│ Discord Bot │ ${(config.discordBotToken ? 'CONFIGURED' : 'NOT SET').padEnd(47).substring(0, 47)} │`);
@@ -143,11 +194,22 @@ export async function runInteractiveSetup(currentConfig = null) {
         });
         if (isCloudExpanded) {
             menuItems.push({ name: `  ├─⪢ ☁️ Select Service`, type: 'action', value: 'cloud_service' });
-            if (config.cloudService === 'google-drive') {
-                menuItems.push({
-                    name: `  └─ 🔑 GDrive Credentials: ${config.googleDrive?.credentialsPath || 'Not Set'}`,
-                    type: 'action',
-                    value: 'gdrive_credentials'
+            const destinations = getDestinations(config);
+            menuItems.push({
+                name: `  ├─⪢ 🗂️ Backup Destinations: ${destinations.map(d => d.provider.name).join(' + ')}`,
+                type: 'action',
+                value: 'destinations'
+            });
+            if (destinations.length > 0) {
+                destinations.forEach(({ provider, settings }, idx) => {
+                    const branch = idx === destinations.length - 1 ? '└─' : '├─';
+                    const summary = provider.describe ? `: ${provider.describe(settings)}` : '';
+                    menuItems.push({
+                        name: `  ${branch} 🔑 ${provider.name} Settings${summary}`,
+                        type: 'action',
+                        value: 'storage_settings',
+                        providerId: provider.id
+                    });
                 });
             } else {
                 menuItems.push({ name: `  └─ ${config.cloudService.toUpperCase()}`, type: 'info', disabled: true });
@@ -157,7 +219,7 @@ export async function runInteractiveSetup(currentConfig = null) {
         // 💬 Discord Section
         const isDiscordExpanded = expanded.has('discord');
         menuItems.push({
-            name: `${isDiscordExpanded ? '⬇' : '➡'} 💬 Discord Notifications`,
+            name: `${isDiscordExpanded ? '⬇' : '➡'} 💬 Notifications`,
             type: 'toggle',
             value: 'discord'
         });
@@ -168,10 +230,25 @@ export async function runInteractiveSetup(currentConfig = null) {
                 value: 'discord_webhook'
             });
             menuItems.push({
-                name: `  └─⪢ 🤖 Download Bot: ${config.discordBotToken ? 'Configured' : 'Not Set'}`,
+                name: `  ├─⪢ 🤖 Download Bot: ${config.discordBotToken ? 'Configured' : 'Not Set'}`,
                 type: 'action',
                 value: 'discord_bot'
             });
+            menuItems.push({
+                name: `  ├─⪢ 🔔 Notification Channels: ${getNotificationChannels(config).length} configured`,
+                type: 'action',
+                value: 'notification_channels'
+            });
+            menuItems.push({
+                name: `  ├─⪢ 🚨 Alerts: ${describeAlerts(config.alerts)}`,
+                type: 'action',
+                value: 'alerts'
+            });
+            menuItems.push({
+                name: `  └─⪢ 🎨 Message Templates: ${describeTemplates(config)}`,
+                type: 'action',
+                value: 'templates'
+            });
         }
 
         // ⚙️ General Section
@@ -183,19 +260,49 @@ export async function runInteractiveSetup(currentConfig = null) {
         });
         if (isGeneralExpanded) {
             menuItems.push({
-                name: `     ├─⪢ ⏱️ Check Interval: ${config.checkInterval} mins`,
+                name: `     ├─⪢ ⏱️ Check Interval: ${config.checkInterval} mins${config.watchSaves === false ? '' : ' (fallback)'}`,
                 type: 'action',
                 value: 'check_interval'
             });
+            menuItems.push({
+                name: `     ├─⪢ 👁️ Watch Saves Folder: ${config.watchSaves === false ? 'Disabled' : `Enabled (settle ${config.settleSeconds ?? 5}s)`}`,
+                type: 'action',
+                value: 'save_watching'
+            });
+            menuItems.push({
+                name: `     ├─⪢ 🔎 Save Filter: ${describeSaveFilter(config.saveFilter)}`,
+                type: 'action',
+                value: 'save_filter'
+            });
             menuItems.push({
                 name: `     ├─⪢ 🏷️ Backup Prefix: ${config.backupPrefix || 'None (Original Name)'}`,
                 type: 'action',
                 value: 'backup_prefix'
             });
             menuItems.push({
-                name: `     └─⪢ 🔒 Obfuscate Secrets: ${config.obfuscateSecrets ? 'Enabled' : 'Disabled'}`,
+                name: `     ├─⪢ 🧹 Retention Policy: ${describeRetention(config.retention)}`,
                 type: 'action',
-                value: 'toggle_obfuscation'
+                value: 'retention'
+            });
+            menuItems.push({
+                name: `     ├─⪢ 🛟 Local Safety Backups: ${config.localBackupRetention || 5}`,
+                type: 'action',
+                value: 'local_backups'
+            });
+            menuItems.push({
+                name: `     ├─⪢ 🧱 Incremental Backups: ${config.incrementalBackups ? 'Enabled' : 'Disabled'}`,
+                type: 'action',
+                value: 'incremental_backups'
+            });
+            menuItems.push({
+                name: `     ├─⪢ 🔐 Encrypt Backups: ${config.encryption?.enabled ? 'Enabled (AES-256-GCM)' : 'Disabled'}`,
+                type: 'action',
+                value: 'encryption'
+            });
+            menuItems.push({
+                name: `     └─⪢ 🔒 Secret Storage: ${SECRET_STORE_MODES[config.secretStore?.mode || 'off']}`,
+                type: 'action',
+                value: 'secret_storage'
             });
         }
 
@@ -266,8 +373,11 @@ export async function runInteractiveSetup(currentConfig = null) {
                             case 'cloud_service':
                                 await configureCloudService(config);
                                 break;
-                            case 'gdrive_credentials':
-                                await configureGoogleDriveCredentials(config);
+                            case 'destinations':
+                                await configureDestinations(config);
+                                break;
+                            case 'storage_settings':
+                                await configureStorageSettings(config, item.providerId);
                                 break;
                             case 'discord_webhook':
                                 config.discordWebhook = await input({
@@ -278,6 +388,15 @@ export async function runInteractiveSetup(currentConfig = null) {
                             case 'discord_bot':
                                 await configureDiscordBot(config);
                                 break;
+                            case 'notification_channels':
+                                await configureNotifications(config);
+                                break;
+                            case 'alerts':
+                                await configureAlerts(config);
+                                break;
+                            case 'templates':
+                                await configureNotificationTemplates(config);
+                                break;
                             case 'check_interval':
                                 config.checkInterval = await number({
                                     message: 'Check interval (minutes):',
@@ -287,14 +406,32 @@ export async function runInteractiveSetup(currentConfig = null) {
                                         : 'Please enter a valid number greater than 0.'
                                 });
                                 break;
+                            case 'save_watching':
+                                await configureSaveWatching(config);
+                                break;
+                            case 'save_filter':
+                                await configureSaveFilter(config);
+                                break;
                             case 'backup_prefix':
                                 config.backupPrefix = await input({
                                     message: 'Enter Backup Prefix (e.g. MegaBase, leave empty for none):',
                                     default: config.backupPrefix || ''
                                 }) || null;
                                 break;
-                            case 'toggle_obfuscation':
-                                config.obfuscateSecrets = !config.obfuscateSecrets;
+                            case 'retention':
+                                await configureRetention(config);
+                                break;
+                            case 'local_backups':
+                                await configureLocalBackupRetention(config);
+                                break;
+                            case 'incremental_backups':
+                                await configureIncrementalBackups(config);
+                                break;
+                            case 'encryption':
+                                await configureEncryption(config);
+                                break;
+                            case 'secret_storage':
+                                await configureSecretStorage(config);
                                 break;
                             case 'save':
                                 resolve(config);
@@ -325,59 +462,269 @@ export async function runInteractiveSetup(currentConfig = null) {
 export async function configureCloudService(config) {
     const service = await select({
         message: 'Select Cloud Service:',
-        choices: [
-            { name: 'Google Drive', value: 'google-drive' }
-        ]
+        choices: listProviders().map(provider => ({ name: provider.name, value: provider.id })),
+        default: config.cloudService
     });
 
-    if (service === 'google-drive') {
-        config.cloudService = 'google-drive';
-        if (!config.googleDrive) config.googleDrive = { credentialsPath: './credentials.json' };
+    const provider = getProvider(service);
+    config.cloudService = provider.id;
+    config.destinations = (config.destinations || []).filter(id => id !== provider.id);
+    getProviderSettings(config, provider);
+}
+
+/**
+ * Asks a single provider prompt, returning the new value for that setting.
+ */
+async function askProviderPrompt(prompt, currentValue) {
+    const fallback = currentValue ?? prompt.default;
+
+    if (prompt.type === 'select') {
+        return await select({ message: prompt.message, choices: prompt.choices, default: fallback });
+    }
+
+    if (prompt.type === 'confirm') {
+        return await select({
+            message: prompt.message,
+            choices: [
+                { name: 'Yes', value: true },
+                { name: 'No', value: false }
+            ],
+            default: fallback ?? false
+        });
+    }
+
+    if (prompt.type === 'number') {
+        return await number({
+            message: prompt.message,
+            default: fallback,
+            validate: (value) => {
+                if (value === undefined || value === null) return prompt.required ? 'Please enter a number.' : true;
+                return prompt.validate ? prompt.validate(value) : true;
+            }
+        }) ?? null;
+    }
+
+    if (prompt.type === 'password') {
+        // Never echo stored secrets back; an empty answer keeps the current one
+        const value = await password({
+            message: currentValue ? `${prompt.message} (Leave empty to keep current)` : prompt.message,
+            mask: '*',
+            validate: (value) => {
+                if (!value) return (prompt.required && !currentValue) ? 'This field cannot be empty.' : true;
+                return prompt.validate ? prompt.validate(value) : true;
+            }
+        });
+        return value || currentValue || null;
     }
+
+    return await input({
+        message: prompt.message,
+        default: fallback ?? '',
+        validate: (value) => {
+            if (!value) return prompt.required ? 'This field cannot be empty.' : true;
+            return prompt.validate ? prompt.validate(value) : true;
+        }
+    }) || null;
 }
 
-export async function configureGoogleDriveCredentials(config) {
-    const { isAuthorized, authorizeWithLocalServer } = await import('./services/google-drive.js');
+/**
+ * Lets the user pick every destination a backup is uploaded to. The primary service
+ * stays first unless it was unchecked, in which case the first remaining one takes over.
+ */
+export async function configureDestinations(config) {
+    const current = getDestinations(config).map(d => d.provider.id);
+    const selected = await checkbox({
+        message: 'Select backup destinations (space to toggle):',
+        choices: listProviders().map(provider => ({
+            name: provider.id === config.cloudService ? `${provider.name} (primary)` : provider.name,
+            value: provider.id,
+            checked: current.includes(provider.id)
+        })),
+        validate: (choices) => choices.length > 0 ? true : 'Select at least one destination.'
+    });
 
-    const credentialsPath = await input({
-        message: 'Enter path to OAuth2 credentials.json:',
-        default: config.googleDrive?.credentialsPath || './credentials.json',
+    if (!selected.includes(config.cloudService)) {
+        config.cloudService = selected[0];
+    }
+    config.destinations = selected.filter(id => id !== config.cloudService);
+
+    // Walk through the prompts of destinations that were never configured before
+    for (const id of selected.filter(id => !current.includes(id))) {
+        const provider = getProvider(id);
+        if (!config[provider.configKey]) {
+            console.log(`\n--- ${provider.name} Settings ---`);
+            await configureStorageSettings(config, id);
+        }
+    }
+}
+
+/**
+ * Walks a provider's prompts (the primary service by default), then runs its own configure step if it has one.
+ */
+export async function configureStorageSettings(config, providerId = config.cloudService) {
+    const provider = getProvider(providerId);
+    if (!provider) {
+        console.log(`Service ${providerId} is not supported.`);
+        return;
+    }
+
+    const settings = getProviderSettings(config, provider);
+    for (const prompt of provider.prompts || []) {
+        settings[prompt.key] = await askProviderPrompt(prompt, settings[prompt.key]);
+    }
+
+    if (provider.configure) {
+        await provider.configure(settings);
+    }
+}
+
+export async function configureRetention(config) {
+    const current = { ...DEFAULT_RETENTION, ...config.retention };
+    const ask = async (message, key) => await number({
+        message: `${message} (0 = off):`,
+        default: current[key],
+        min: 0,
+        validate: (value) => (value !== undefined && value >= 0) ? true : 'Please enter 0 or a positive number.'
+    });
+
+    console.log('\nRetention is applied per world after every successful upload. Set everything to 0 to keep all backups.');
+    config.retention = {
+        keepLast: await ask('Always keep the last N backups', 'keepLast'),
+        keepDaily: await ask('Keep one backup per day for N days', 'keepDaily'),
+        keepWeekly: await ask('Keep one backup per week for N weeks', 'keepWeekly'),
+        keepMonthly: await ask('Keep one backup per month for N months', 'keepMonthly'),
+        maxTotalSizeMB: await ask('Max total size per world in MB', 'maxTotalSizeMB')
+    };
+}
+
+export async function configureSaveWatching(config) {
+    config.watchSaves = await select({
+        message: 'Watch the saves folder and back up as soon as a save is written?',
+        choices: [
+            { name: 'Yes (the check interval becomes a fallback poll)', value: true },
+            { name: 'No, only poll on the check interval', value: false }
+        ],
+        default: config.watchSaves !== false
+    });
+    if (!config.watchSaves) return;
+
+    config.settleSeconds = await number({
+        message: 'Seconds a save must stay unchanged before it is backed up:',
+        default: config.settleSeconds ?? 5,
+        validate: (value) => (value !== undefined && value >= 1) ? true : 'Please enter at least 1 second.'
+    });
+}
+
+export async function configureSaveFilter(config) {
+    const current = { ...DEFAULT_SAVE_FILTER, ...config.saveFilter };
+    const ask = async (message, key) => parsePatternList(await input({
+        message,
+        default: current[key].join(', '),
         validate: (value) => {
-            if (!value) return 'Credentials path cannot be empty.';
-            const resolved = path.resolve(process.cwd(), value);
-            if (!existsSync(resolved)) {
-                return `File not found at: ${resolved}\nDownload it from Google Cloud Console → APIs & Services → Credentials → OAuth 2.0 Client ID (Desktop app).`;
+            try {
+                parsePatternList(value);
+                return true;
+            } catch (e) {
+                return e.message;
             }
-            return true;
         }
+    }));
+
+    console.log('\nComma separated globs (e.g. megabase*, _autosave*) or regexes written as /pattern/.');
+    config.saveFilter = {
+        include: await ask('Only back up saves matching (leave empty for all):', 'include'),
+        exclude: await ask('Never back up saves matching:', 'exclude')
+    };
+}
+
+export async function configureIncrementalBackups(config) {
+    const supported = listProviders().filter(supportsIncrementalBackups).map(p => p.name);
+    console.log(`\nIncremental backups split saves into chunks and only upload the chunks that changed.`);
+    console.log(`Supported destinations: ${supported.join(', ')}. Other destinations keep receiving full copies.`);
+    config.incrementalBackups = await select({
+        message: 'Store backups incrementally?',
+        choices: [
+            { name: 'Yes (much less upload for large saves; restore through this tool only)', value: true },
+            { name: 'No, upload a full .zip every time', value: false }
+        ],
+        default: Boolean(config.incrementalBackups)
     });
-    const folderId = await input({
-        message: 'Enter Google Drive Folder ID (Leave empty to upload to root):',
-        default: config.googleDrive?.folderId || ''
-    }) || null;
-    config.googleDrive = { credentialsPath, folderId };
+}
 
-    // Check if already authorized
-    if (isAuthorized()) {
-        console.log('\n✅ Google Drive is already authorized.');
-        const reAuth = await select({
-            message: 'Do you want to re-authorize?',
+export async function configureEncryption(config) {
+    const enabled = await select({
+        message: 'Encrypt backups with a passphrase before they are uploaded?',
+        choices: [
+            { name: 'Yes (only people with the passphrase can open the backups)', value: true },
+            { name: 'No', value: false }
+        ],
+        default: Boolean(config.encryption?.enabled)
+    });
+    // The passphrase is kept when disabling, so existing encrypted backups can still be restored
+    config.encryption = { enabled, passphrase: config.encryption?.passphrase || null };
+    if (!enabled) return;
+
+    if (config.encryption.passphrase) {
+        const change = await select({
+            message: 'A passphrase is already set. Change it?',
             choices: [
-                { name: 'No, keep current authorization', value: false },
-                { name: 'Yes, re-authorize', value: true }
+                { name: 'No, keep the current passphrase', value: false },
+                { name: 'Yes (backups made with the old one will need it to be restored)', value: true }
             ]
         });
-        if (!reAuth) return;
+        if (!change) return;
     }
 
-    // Start OAuth2 flow with local server
-    try {
-        await authorizeWithLocalServer(credentialsPath);
-        console.log('\n🎉 Google Drive authorized successfully! Your backups will upload to your personal Drive.');
-    } catch (err) {
-        console.error(`\n❌ Authorization failed: ${err.message}`);
-        console.error('Make sure you downloaded "OAuth 2.0 Client ID" (Desktop app) credentials, NOT a Service Account key.');
+    const passphrase = await password({
+        message: 'Encryption passphrase (min 8 characters):',
+        mask: '*',
+        validate: (value) => value.length >= 8 ? true : 'Please use at least 8 characters.'
+    });
+    await password({
+        message: 'Repeat the passphrase:',
+        mask: '*',
+        validate: (value) => value === passphrase ? true : 'Passphrases do not match.'
+    });
+    config.encryption.passphrase = passphrase;
+    console.log('⚠️  Keep this passphrase somewhere safe: encrypted backups cannot be restored without it.');
+}
+
+export async function configureSecretStorage(config) {
+    console.log('\nSecrets (webhook, bot token, passwords, the Google Drive token) are encrypted with AES-256-GCM.');
+    const mode = await select({
+        message: 'How should the encryption key be kept?',
+        choices: [
+            { name: `${SECRET_STORE_MODES.keyfile} (random key in .secret-key, readable only by you)`, value: 'keyfile' },
+            { name: `${SECRET_STORE_MODES.passphrase} (asked at startup, or set ${MASTER_PASSPHRASE_ENV})`, value: 'passphrase' },
+            { name: SECRET_STORE_MODES.off, value: 'off' }
+        ],
+        default: config.secretStore?.mode || 'off'
+    });
+
+    let passphrase = null;
+    if (mode === 'passphrase') {
+        passphrase = await password({
+            message: 'New master passphrase (min 8 characters):',
+            mask: '*',
+            validate: (value) => value.length >= 8 ? true : 'Please use at least 8 characters.'
+        });
+        await password({
+            message: 'Repeat the master passphrase:',
+            mask: '*',
+            validate: (value) => value === passphrase ? true : 'Passphrases do not match.'
+        });
     }
+    // Secrets are held decrypted in memory; the new key takes over (and gdrive-token.json is
+    // re-encrypted with it) when the config is saved
+    config.secretStore = changeSecretStore(mode, passphrase);
+}
+
+export async function configureLocalBackupRetention(config) {
+    config.localBackupRetention = await number({
+        message: 'How many local safety backups to keep in backups/:',
+        default: config.localBackupRetention || 5,
+        validate: (value) => (value && value > 0) ? true : 'Please enter a valid number greater than 0.'
+    });
 }
 
 export async function configureDiscordBot(config) {
@@ -392,3 +739,216 @@ export async function configureDiscordBot(config) {
         validate: (value) => value ? true : 'Channel ID cannot be empty.'
     });
 }
+
+export async function configureAlerts(config) {
+    const current = { ...DEFAULT_ALERTS, ...config.alerts };
+    console.log('\nFailures are sent to channels subscribed to "Backup failed"; the watchdog and recovery notices have their own events.');
+    config.alerts = {
+        staleHours: await number({
+            message: 'Alert when saves changed but nothing was backed up for this many hours (0 = off):',
+            default: current.staleHours,
+            min: 0,
+            validate: (value) => (value !== undefined && value >= 0) ? true : 'Please enter 0 or a positive number.'
+        }),
+        repeatMinutes: await number({
+            message: 'Minutes before repeating an alert about the same ongoing problem:',
+            default: current.repeatMinutes,
+            validate: (value) => (value && value >= 1) ? true : 'Please enter at least 1 minute.'
+        })
+    };
+}
+
+async function chooseEvents(current) {
+    return await checkbox({
+        message: 'Send notifications for (space to toggle):',
+        choices: Object.entries(NOTIFICATION_EVENTS).map(([value, name]) => ({ name, value, checked: current.includes(value) }))
+    });
+}
+
+/**
+ * Adds, edits, tests and removes notification channels. The Discord webhook from the
+ * Discord section is listed too, but only its event filter can be changed here.
+ */
+export async function configureNotifications(config) {
+    config.notifications ??= { discordEvents: [...DEFAULT_DISCORD_EVENTS], channels: [] };
+    config.notifications.channels ??= [];
+
+    while (true) {
+        const channels = getNotificationChannels(config);
+        const choice = await select({
+            message: 'Notification channels:',
+            choices: [
+                ...channels.map(channel => {
+                    const summary = getNotifier(channel.type)?.describe?.(channel.settings);
+                    return {
+                        name: `${channel.name}${summary ? ` (${summary})` : ''} — ${describeEvents(channel.events)}`,
+                        value: channel.id
+                    };
+                }),
+                { name: '➕ Add Channel', value: 'add' },
+                { name: '⬅️  Done', value: 'done' }
+            ]
+        });
+        if (choice === 'done') return;
+
+        if (choice === 'add') {
+            const type = await select({
+                message: 'Channel type:',
+                choices: listNotifiers().map(notifier => ({ name: notifier.name, value: notifier.id }))
+            });
+            const notifier = getNotifier(type);
+            const channel = createChannel(notifier);
+            channel.name = await input({ message: 'Channel name (shown in logs):', default: notifier.name }) || notifier.name;
+            for (const prompt of notifier.prompts) {
+                channel.settings[prompt.key] = await askProviderPrompt(prompt, channel.settings[prompt.key]);
+            }
+            channel.events = await chooseEvents(channel.events);
+            config.notifications.channels.push(channel);
+            continue;
+        }
+
+        const channel = channels.find(c => c.id === choice);
+        const isPrimary = channel.id === PRIMARY_DISCORD_CHANNEL;
+        const action = await select({
+            message: `${channel.name}:`,
+            choices: [
+                { name: '🎯 Events', value: 'events' },
+                ...(isPrimary ? [] : [{ name: '🔑 Settings', value: 'settings' }]),
+                { name: '🧪 Send Test Notification', value: 'test' },
+                ...(isPrimary ? [] : [{ name: '🗑️  Remove', value: 'remove' }]),
+                { name: '⬅️  Back', value: 'back' }
+            ]
+        });
+
+        if (action === 'events') {
+            const events = await chooseEvents(channel.events);
+            if (isPrimary) config.notifications.discordEvents = events;
+            else channel.events = events;
+        } else if (action === 'settings') {
+            for (const prompt of getNotifier(channel.type).prompts) {
+                channel.settings[prompt.key] = await askProviderPrompt(prompt, channel.settings[prompt.key]);
+            }
+        } else if (action === 'test') {
+            await notify(config, { type: 'test' }, { onlyChannel: channel.id });
+        } else if (action === 'remove') {
+            config.notifications.channels = config.notifications.channels.filter(c => c.id !== channel.id);
+        }
+    }
+}
+
+export function describeTemplates(config) {
+    const customized = Object.keys(config.notificationTemplates || {}).length;
+    return customized ? `${customized} customized` : 'Defaults';
+}
+
+// Renders a message roughly the way chat apps show it, for previewing in the terminal
+function printPreview(message) {
+    const color = message.color.toString(16).padStart(6, '0');
+    console.log(`\n┌─── Preview ${'─'.repeat(50)}`);
+    if (message.mention) console.log(`│ ${message.mention}`);
+    console.log(`│ \x1b[1m${message.title}\x1b[0m  (colour #${color})`);
+    for (const line of messageLines(message)) {
+        for (const part of line.split('\n')) console.log(`│ ${part}`);
+    }
+    if (message.footer) console.log(`│ \x1b[90m${message.footer}\x1b[0m`);
+    console.log(`└${'─'.repeat(62)}\n`);
+}
+
+/**
+ * Edits the message template of one event at a time. Changes are made on a draft that can be
+ * previewed with example data, and only reach the config when saved.
+ */
+export async function configureNotificationTemplates(config) {
+    config.notificationTemplates ??= {};
+    const eventNames = { ...NOTIFICATION_EVENTS, test: 'Test notification' };
+
+    while (true) {
+        const type = await select({
+            message: 'Which message do you want to customize?',
+            choices: [
+                ...Object.entries(eventNames).map(([value, name]) => ({
+                    name: `${name}${config.notificationTemplates[value] ? ' (customized)' : ''}`,
+                    value
+                })),
+                { name: '⬅️  Done', value: 'done' }
+            ]
+        });
+        if (type === 'done') return;
+
+        const draft = getTemplate(config.notificationTemplates, type);
+        console.log(`\nPlaceholders: ${Object.keys(PLACEHOLDERS).map(key => `{${key}}`).join(' ')}`);
+
+        let editing = true;
+        while (editing) {
+            const action = await select({
+                message: `${eventNames[type]} template:`,
+                choices: [
+                    { name: `📝 Title: ${draft.title}`, value: 'title' },
+                    { name: `💬 Description: ${draft.description || '(none)'}`, value: 'description' },
+                    { name: `🎨 Colour: ${draft.color}`, value: 'color' },
+                    { name: `🧾 Fields: ${draft.fields.length ? draft.fields.join(', ') : '(none)'}`, value: 'fields' },
+                    { name: `📣 Discord Mention: ${draft.mention || '(none)'}`, value: 'mention' },
+                    { name: `🔻 Footer: ${draft.footer || '(none)'}`, value: 'footer' },
+                    { name: '👁️  Preview', value: 'preview' },
+                    { name: '↩️  Reset to Default', value: 'reset' },
+                    { name: '💾 Save', value: 'save' },
+                    { name: '❌ Discard Changes', value: 'discard' }
+                ]
+            });
+
+            switch (action) {
+                case 'title':
+                    draft.title = await input({
+                        message: 'Title:',
+                        default: draft.title,
+                        validate: (value) => value.trim() ? true : 'The title cannot be empty.'
+                    });
+                    break;
+                case 'description':
+                case 'footer':
+                    draft[action] = await input({ message: `${action === 'footer' ? 'Footer' : 'Description'} (leave empty for none):`, default: draft[action] });
+                    break;
+                case 'color':
+                    draft.color = await input({
+                        message: 'Colour as hex (e.g. #e67e22):',
+                        default: draft.color,
+                        validate: (value) => parseColor(value) !== null ? true : 'Please enter a colour like #e67e22.'
+                    });
+                    break;
+                case 'fields':
+                    // Kept in catalogue order, which is also the order they are shown in
+                    draft.fields = await checkbox({
+                        message: 'Fields to include (space to toggle):',
+                        choices: Object.entries(TEMPLATE_FIELDS).map(([key, field]) => ({
+                            name: typeof field.name === 'function' ? '🧩 Mods' : field.name,
+                            value: key,
+                            checked: draft.fields.includes(key),
+                            disabled: REQUIRED_FIELDS[type]?.includes(key) && '(needed to restore from Discord)'
+                        }))
+                    });
+                    break;
+                case 'mention':
+                    draft.mention = await input({ message: 'Mention sent with Discord messages (e.g. <@&ROLE_ID> or @here, empty for none):', default: draft.mention });
+                    break;
+                case 'preview':
+                    printPreview(renderMessage(SAMPLE_EVENTS[type], { [type]: draft }));
+                    break;
+                case 'reset':
+                    Object.assign(draft, DEFAULT_TEMPLATES[type]);
+                    break;
+                case 'save': {
+                    // Only what differs from the default is stored
+                    const changes = Object.fromEntries(Object.entries(draft).filter(([key, value]) =>
+                        JSON.stringify(value) !== JSON.stringify(DEFAULT_TEMPLATES[type][key])));
+                    if (Object.keys(changes).length) config.notificationTemplates[type] = changes;
+                    else delete config.notificationTemplates[type];
+                    editing = false;
+                    break;
+                }
+                case 'discard':
+                    editing = false;
+                    break;
+            }
+        }
+    }
+}
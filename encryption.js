@@ -0,0 +1,146 @@
+// encryption.js
+// Optional client-side encryption of backups (AES-256-GCM, key derived from a passphrase with scrypt).
+//
+// File layout: MAGIC (7 bytes) | salt (16) | iv (12) | ciphertext | auth tag (16)
+import { promises as fs, createReadStream, createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import crypto from 'crypto';
+
+export const ENCRYPTED_EXTENSION = '.enc';
+const MAGIC = Buffer.from('FBKENC\x01', 'latin1'); // Format name + version
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + SALT_LENGTH + IV_LENGTH;
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+export function isEncryptionEnabled(config) {
+    return Boolean(config.encryption?.enabled && config.encryption?.passphrase);
+}
+
+export function isEncryptedName(fileName) {
+    return fileName.toLowerCase().endsWith(ENCRYPTED_EXTENSION);
+}
+
+/**
+ * Name the file gets once decrypted: `world_20260101_120000.zip.enc` -> `world_20260101_120000.zip`.
+ */
+export function decryptedName(fileName) {
+    return isEncryptedName(fileName) ? fileName.slice(0, -ENCRYPTED_EXTENSION.length) : fileName;
+}
+
+/**
+ * True for anything this tool uploads: plain `.zip` saves and their encrypted `.zip.enc` form.
+ */
+export function isBackupFileName(fileName) {
+    return decryptedName(fileName).toLowerCase().endsWith('.zip');
+}
+
+function deriveKey(passphrase, salt) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(passphrase, salt, 32, SCRYPT_OPTIONS, (err, key) => err ? reject(err) : resolve(key));
+    });
+}
+
+/**
+ * Checks the header rather than the name, so renamed files are still recognized.
+ */
+export async function isEncryptedFile(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const header = Buffer.alloc(MAGIC.length);
+        const { bytesRead } = await handle.read(header, 0, MAGIC.length, 0);
+        return bytesRead === MAGIC.length && header.equals(MAGIC);
+    } finally {
+        await handle.close();
+    }
+}
+
+export async function encryptFile(sourcePath, destinationPath, passphrase) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', await deriveKey(passphrase, salt), iv);
+
+    const output = createWriteStream(destinationPath);
+    output.write(Buffer.concat([MAGIC, salt, iv]));
+    await pipeline(createReadStream(sourcePath), cipher, output, { end: false });
+    await new Promise((resolve, reject) => output.end(cipher.getAuthTag(), (err) => err ? reject(err) : resolve()));
+}
+
+/**
+ * Decrypts a file written by encryptFile. Throws if the passphrase is wrong or the file was
+ * tampered with; `destinationPath` must then be discarded.
+ */
+export async function decryptFile(sourcePath, destinationPath, passphrase) {
+    const { size } = await fs.stat(sourcePath);
+    if (size < HEADER_LENGTH + TAG_LENGTH) throw new Error('Encrypted file is truncated.');
+
+    const handle = await fs.open(sourcePath, 'r');
+    let header, tag;
+    try {
+        header = Buffer.alloc(HEADER_LENGTH);
+        tag = Buffer.alloc(TAG_LENGTH);
+        await handle.read(header, 0, HEADER_LENGTH, 0);
+        await handle.read(tag, 0, TAG_LENGTH, size - TAG_LENGTH);
+    } finally {
+        await handle.close();
+    }
+    if (!header.subarray(0, MAGIC.length).equals(MAGIC)) throw new Error('Not an encrypted backup.');
+
+    const salt = header.subarray(MAGIC.length, MAGIC.length + SALT_LENGTH);
+    const iv = header.subarray(MAGIC.length + SALT_LENGTH);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', await deriveKey(passphrase, salt), iv);
+    decipher.setAuthTag(tag);
+
+    try {
+        await pipeline(
+            createReadStream(sourcePath, { start: HEADER_LENGTH, end: size - TAG_LENGTH - 1 }),
+            decipher,
+            createWriteStream(destinationPath)
+        );
+    } catch (e) {
+        throw new Error('Decryption failed: wrong passphrase or the file is corrupted.');
+    }
+}
+
+/**
+ * In-memory variant for many small objects (e.g. repository chunks): same layout as
+ * encryptFile, but the scrypt key is derived once per salt instead of once per buffer.
+ */
+export function createBufferCipher(passphrase) {
+    const keys = new Map(); // salt (hex) -> Promise<key>
+    const keyFor = (salt) => {
+        const id = salt.toString('hex');
+        if (!keys.has(id)) keys.set(id, deriveKey(passphrase, salt));
+        return keys.get(id);
+    };
+    const sessionSalt = crypto.randomBytes(SALT_LENGTH);
+
+    return {
+        async encrypt(data) {
+            const iv = crypto.randomBytes(IV_LENGTH);
+            const cipher = crypto.createCipheriv('aes-256-gcm', await keyFor(sessionSalt), iv);
+            const body = Buffer.concat([cipher.update(data), cipher.final()]);
+            return Buffer.concat([MAGIC, sessionSalt, iv, body, cipher.getAuthTag()]);
+        },
+
+        async decrypt(data) {
+            if (data.length < HEADER_LENGTH + TAG_LENGTH || !data.subarray(0, MAGIC.length).equals(MAGIC)) {
+                throw new Error('Not an encrypted object.');
+            }
+            const salt = data.subarray(MAGIC.length, MAGIC.length + SALT_LENGTH);
+            const iv = data.subarray(MAGIC.length + SALT_LENGTH, HEADER_LENGTH);
+            const decipher = crypto.createDecipheriv('aes-256-gcm', await keyFor(salt), iv);
+            decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+            try {
+                return Buffer.concat([decipher.update(data.subarray(HEADER_LENGTH, data.length - TAG_LENGTH)), decipher.final()]);
+            } catch (e) {
+                throw new Error('Decryption failed: wrong passphrase or the object is corrupted.');
+            }
+        }
+    };
+}
+
+export function isEncryptedBuffer(data) {
+    return data.length >= MAGIC.length && data.subarray(0, MAGIC.length).equals(MAGIC);
+}
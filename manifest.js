@@ -0,0 +1,59 @@
+// manifest.js
+// SHA-256 checksums of every backup uploaded from this machine, used to verify downloads.
+import { promises as fs, existsSync, createReadStream } from 'fs';
+import crypto from 'crypto';
+
+// Lives next to config.json and backup-state.json
+const MANIFEST_FILE = 'backup-manifest.json';
+
+/**
+ * Streams a file through a hash so large saves never have to sit in memory.
+ */
+export function hashFile(filePath, algorithm) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash(algorithm);
+        createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+export function sha256File(filePath) {
+    return hashFile(filePath, 'sha256');
+}
+
+export async function loadManifest() {
+    try {
+        if (existsSync(MANIFEST_FILE)) {
+            const data = JSON.parse(await fs.readFile(MANIFEST_FILE, 'utf-8'));
+            return { version: 1, files: {}, ...data };
+        }
+    } catch (e) {
+        console.error(`Error loading ${MANIFEST_FILE}:`, e.message);
+    }
+    return { version: 1, files: {} }; // backup file name -> { sha256, size, world, uploadedAt }
+}
+
+export async function saveManifest(manifest) {
+    // Unique per write, like saveState's, so overlapping saves never share a temp file
+    const tempFile = `${MANIFEST_FILE}.${crypto.randomUUID()}.tmp`;
+    try {
+        await fs.writeFile(tempFile, JSON.stringify(manifest, null, 2));
+        await fs.rename(tempFile, MANIFEST_FILE);
+    } catch (e) {
+        console.error('Error saving manifest:', e.message);
+        await fs.rm(tempFile, { force: true }).catch(() => {});
+    }
+}
+
+/**
+ * Hashes a downloaded file and throws if it doesn't match the recorded checksum.
+ */
+export async function verifyChecksum(filePath, fileName, expected) {
+    const actual = await sha256File(filePath);
+    if (actual !== expected.toLowerCase()) {
+        throw new Error(`SHA-256 mismatch for ${fileName}: expected ${expected}, got ${actual}. The download is corrupt or was modified.`);
+    }
+    return actual;
+}
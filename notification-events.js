@@ -0,0 +1,28 @@
+// notification-events.js
+// The events notification channels can subscribe to. How each event is worded is set by
+// its template (notification-templates.js).
+//
+// An event is { type, fileName?, world?, service?, link?, size?, results?, metadata?, sha256?, error?, safetyCopy? },
+// plus for alerts: failures (attempts so far), since (first failure or last success, ms) and
+// repeatMinutes (how long further alerts about the same problem stay muted).
+
+export const NOTIFICATION_EVENTS = {
+    'success': 'Backup uploaded',
+    'failure': 'Backup failed',
+    'sync-download': 'Newer save downloaded from the cloud',
+    'conflict': 'Unsaved local changes replaced by a cloud save',
+    'stale': 'No successful backup for too long',
+    'recovered': 'Backups working again'
+};
+
+// What a channel receives unless its filter was changed
+export const DEFAULT_EVENTS = ['success', 'failure', 'sync-download', 'conflict', 'stale', 'recovered'];
+
+// The Discord webhook from the Discord section predates event filters
+export const DEFAULT_DISCORD_EVENTS = ['success', 'failure', 'stale', 'recovered'];
+
+export function describeEvents(events) {
+    if (!events?.length) return 'No events';
+    if (DEFAULT_EVENTS.every(type => events.includes(type))) return 'All events';
+    return events.map(type => NOTIFICATION_EVENTS[type] || type).join(', ');
+}
@@ -0,0 +1,242 @@
+// notification-templates.js
+// Customizable notification messages. A template per event sets the title, description,
+// colour, footer, Discord mention and the fields to include; text may use {placeholders}.
+// config.notificationTemplates only stores what differs from DEFAULT_TEMPLATES.
+import { formatPlayTime } from './save-metadata.js';
+
+export const PLACEHOLDERS = {
+    fileName: 'Backup file name',
+    world: 'Save (world) name',
+    service: 'Destination(s) used',
+    link: 'Download link',
+    size: 'Backup size',
+    timestamp: 'Time of the event',
+    error: 'Error reason',
+    failures: 'Failed attempts so far',
+    since: 'Start of the problem / last successful backup',
+    age: 'How long ago {since} was',
+    safetyCopy: 'Local safety copy',
+    scenario: 'Scenario',
+    gameVersion: 'Game version',
+    playTime: 'Play time',
+    sha256: 'SHA-256 checksum'
+};
+
+function formatSize(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+function formatAge(since) {
+    const hours = Math.floor((Date.now() - since) / (60 * 60 * 1000));
+    return hours >= 48 ? `${Math.floor(hours / 24)} days` : `${hours} hours`;
+}
+
+/**
+ * Fields a template can include. `value` returns null when the event has nothing to show,
+ * and the field is left out. `code` values are shown as inline code on Discord.
+ */
+export const TEMPLATE_FIELDS = {
+    fileName: { name: '📁 Filename', inline: true, code: true, value: (e) => e.fileName || null },
+    service: { name: '🌐 Service', inline: true, value: (e) => e.service || null },
+    link: { name: '🔗 Download Link', value: (e) => e.link || (e.type === 'success' ? 'N/A' : null) },
+    world: { name: '🌍 World', inline: true, value: (e) => e.world || null },
+    size: { name: '📏 Size', inline: true, value: (e) => e.size ? formatSize(e.size) : null },
+    scenario: { name: '🗺️ Scenario', inline: true, value: (e) => e.metadata ? e.metadata.scenario || 'Unknown' : null },
+    gameVersion: { name: '🏷️ Game Version', inline: true, value: (e) => e.metadata ? e.metadata.gameVersion || 'Unknown' : null },
+    playTime: { name: '⏱️ Play Time', inline: true, value: (e) => e.metadata ? formatPlayTime(e.metadata.playTicks) : null },
+    mods: {
+        name: (e) => `🧩 Mods (${e.metadata.mods.length})`,
+        value: (e) => e.metadata?.mods?.length ? e.metadata.mods.map(mod => `${mod.name} ${mod.version}`).join(', ') : null
+    },
+    sha256: { name: '🔒 SHA-256', code: true, value: (e) => e.sha256 || null },
+    // One line per destination when the backup was fanned out or failed somewhere
+    destinations: {
+        name: '🗂️ Destinations',
+        value: (e) => (e.results?.length > 1 || e.results?.some(r => !r.ok))
+            ? e.results.map(r => r.ok ? `✅ ${r.name}${r.link ? ` — ${r.link}` : ''}` : `❌ ${r.name} — ${r.error}`).join('\n')
+            : null
+    },
+    error: { name: '❌ Error', value: (e) => e.error || null },
+    attempts: { name: '🔁 Failed Attempts', value: (e) => e.failures ? `${e.failures} since ${new Date(e.since).toLocaleString()}` : null },
+    safetyCopy: { name: '💾 Safety Copy', value: (e) => e.safetyCopy || null },
+    timestamp: { name: '🕒 Time', inline: true, value: (e) => new Date(e.timestamp || Date.now()).toLocaleString() },
+    muted: {
+        name: '🔕 Repeats',
+        value: (e) => e.repeatMinutes ? `Further alerts about this are muted for ${e.repeatMinutes} minutes unless it recovers.` : null
+    }
+};
+
+/**
+ * Fields an event's messages always carry, whatever the template picks: the Discord history
+ * browser (parseBackupMessage) finds backups and their checksums by these field names.
+ */
+export const REQUIRED_FIELDS = {
+    'success': ['fileName', 'link', 'sha256']
+};
+
+const FOOTER = 'Factorio Backup Manager';
+
+export const DEFAULT_TEMPLATES = {
+    'success': {
+        title: '🚀 Factorio Backup Successful',
+        description: 'A new backup has been uploaded to **{service}**.',
+        color: '#e67e22', // Orange (Factorio-like color)
+        fields: ['fileName', 'service', 'link', 'scenario', 'gameVersion', 'playTime', 'mods', 'sha256', 'destinations'],
+        mention: '',
+        footer: FOOTER
+    },
+    'failure': {
+        title: '🚨 Factorio Backup Failed',
+        description: 'A backup could not be completed.',
+        color: '#e74c3c',
+        fields: ['fileName', 'world', 'destinations', 'error', 'attempts', 'muted'],
+        mention: '',
+        footer: FOOTER
+    },
+    'sync-download': {
+        title: '🔄 Factorio Save Synced from the Cloud',
+        description: 'A newer save was downloaded from **{service}**.',
+        color: '#3498db',
+        fields: ['fileName', 'world'],
+        mention: '',
+        footer: FOOTER
+    },
+    'conflict': {
+        title: '⚠️ Factorio Sync Conflict',
+        description: "The local save {world} had changes that were never backed up and was replaced by {service}'s newer copy.",
+        color: '#f1c40f',
+        fields: ['fileName', 'safetyCopy'],
+        mention: '',
+        footer: FOOTER
+    },
+    'stale': {
+        title: '⏰ Factorio Backups Are Stale',
+        description: 'Saves changed, but the last successful backup was {age} ago ({since}).',
+        color: '#e74c3c',
+        fields: ['error', 'muted'],
+        mention: '',
+        footer: FOOTER
+    },
+    'recovered': {
+        title: '✅ Factorio Backups Recovered',
+        description: 'Backups are working again.',
+        color: '#2ecc71',
+        fields: ['fileName', 'service', 'world', 'attempts'],
+        mention: '',
+        footer: FOOTER
+    },
+    'test': {
+        title: '🧪 Factorio Backup Test Notification',
+        description: 'This channel is set up correctly.',
+        color: '#95a5a6',
+        fields: [],
+        mention: '',
+        footer: FOOTER
+    }
+};
+
+/**
+ * Example events used to preview templates in the settings menu.
+ */
+export const SAMPLE_EVENTS = (() => {
+    const base = {
+        world: 'megabase.zip',
+        fileName: 'MegaBase_megabase_20260101_120000.zip',
+        service: 'Google Drive',
+        link: 'https://drive.google.com/file/d/example/view',
+        size: 48 * 1024 * 1024,
+        sha256: 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855',
+        metadata: { scenario: 'freeplay', gameVersion: '2.0.28', playTicks: 60 * 60 * 60 * 42, mods: [{ name: 'base', version: '2.0.28' }, { name: 'space-age', version: '2.0.28' }] }
+    };
+    const since = Date.now() - 5 * 60 * 60 * 1000;
+    return {
+        'success': { ...base, type: 'success' },
+        'failure': { ...base, type: 'failure', link: null, error: 'Google Drive: invalid_grant', failures: 3, since, repeatMinutes: 60 },
+        'sync-download': { ...base, type: 'sync-download' },
+        'conflict': { ...base, type: 'conflict', safetyCopy: 'megabase_localbackup_2026-01-01T12-00-00-000Z.zip' },
+        'stale': { type: 'stale', error: 'Google Drive: invalid_grant', since, repeatMinutes: 60 },
+        'recovered': { ...base, type: 'recovered', failures: 3, since },
+        'test': { type: 'test' }
+    };
+})();
+
+export function getTemplate(templates, type) {
+    const template = { ...DEFAULT_TEMPLATES[type] || DEFAULT_TEMPLATES.test, ...templates?.[type] };
+    const missing = (REQUIRED_FIELDS[type] || []).filter(key => !template.fields?.includes(key));
+    return missing.length ? { ...template, fields: [...template.fields || [], ...missing] } : template;
+}
+
+export function parseColor(value) {
+    const match = String(value ?? '').trim().match(/^#?([0-9a-f]{6})$/i);
+    return match ? parseInt(match[1], 16) : null;
+}
+
+function placeholderValues(event) {
+    const timestamp = event.timestamp || Date.now();
+    return {
+        fileName: event.fileName,
+        world: event.world,
+        service: event.service,
+        link: event.link,
+        size: event.size ? formatSize(event.size) : null,
+        timestamp: new Date(timestamp).toLocaleString(),
+        error: event.error,
+        failures: event.failures,
+        since: event.since ? new Date(event.since).toLocaleString() : null,
+        age: event.since ? formatAge(event.since) : null,
+        safetyCopy: event.safetyCopy,
+        scenario: event.metadata?.scenario,
+        gameVersion: event.metadata?.gameVersion,
+        playTime: event.metadata ? formatPlayTime(event.metadata.playTicks) : null,
+        sha256: event.sha256
+    };
+}
+
+/**
+ * Replaces {placeholders} with the event's values. Known placeholders without a value
+ * become empty; unknown ones are left as typed so mistakes are visible in the preview.
+ */
+export function fillPlaceholders(text, event) {
+    const values = placeholderValues(event);
+    return (text || '').replace(/\{(\w+)\}/g, (match, key) => key in values ? String(values[key] ?? '') : match);
+}
+
+/**
+ * Renders an event with its template (from `templates`, falling back to the defaults).
+ * Returns { title, description, color, fields: [{ name, value, inline, code }], footer, mention }.
+ */
+export function renderMessage(event, templates = {}) {
+    const template = getTemplate(templates, event.type);
+    const fields = [];
+    for (const key of template.fields || []) {
+        const field = TEMPLATE_FIELDS[key];
+        const value = field?.value(event);
+        if (value === null || value === undefined || value === '') continue;
+        fields.push({
+            name: typeof field.name === 'function' ? field.name(event) : field.name,
+            value: String(value),
+            inline: Boolean(field.inline),
+            code: Boolean(field.code)
+        });
+    }
+    return {
+        title: fillPlaceholders(template.title, event),
+        description: fillPlaceholders(template.description, event),
+        color: parseColor(template.color) ?? parseColor(DEFAULT_TEMPLATES.test.color),
+        fields,
+        footer: fillPlaceholders(template.footer, event),
+        mention: fillPlaceholders(template.mention, event).trim()
+    };
+}
+
+/**
+ * The message as plain-text lines (description, then one "Name: value" line per field),
+ * for channels without embeds.
+ */
+export function messageLines(message) {
+    const lines = message.description ? [message.description] : [];
+    for (const field of message.fields) {
+        lines.push(`${field.name}: ${field.value}`);
+    }
+    return lines;
+}
@@ -0,0 +1,252 @@
+// repository.js
+// Optional incremental backup format. Saves are split into content-defined chunks so that
+// only the parts that changed since the previous backup are uploaded.
+//
+// Layout inside a destination's repository folder:
+//   chunk-<id>                  one piece of a save (id = SHA-256 of its content, HMAC when encrypted)
+//   snapshot-<backup name>.json index listing a backup's chunks in order, plus its size and checksum
+import { promises as fs, createReadStream } from 'fs';
+import crypto from 'crypto';
+import { createBufferCipher, isEncryptedBuffer, isEncryptedName } from './encryption.js';
+
+const MIN_CHUNK_SIZE = 512 * 1024;
+const MAX_CHUNK_SIZE = 4 * 1024 * 1024;
+const CHUNK_MASK = (1 << 20) - 1; // Cut roughly every 1 MiB past the minimum
+const CHUNK_PREFIX = 'chunk-';
+const SNAPSHOT_PREFIX = 'snapshot-';
+const SNAPSHOT_SUFFIX = '.json';
+
+// Gear table for the rolling hash. Derived from fixed seeds: it must never change, or chunk
+// boundaries (and therefore deduplication against existing repositories) would shift.
+const GEAR = Array.from({ length: 256 }, (_, i) =>
+    crypto.createHash('sha256').update(`factorio-backup-gear-${i}`).digest().readUInt32LE(0)
+);
+
+/**
+ * Splits a file into content-defined chunks using a gear rolling hash, so an edit in the
+ * middle of a save only changes the chunks around it. Streams the file; at most one
+ * chunk (MAX_CHUNK_SIZE) is held in memory.
+ */
+export async function* splitIntoChunks(filePath) {
+    let pending = [];
+    let pendingLength = 0;
+    let hash = 0;
+
+    for await (const block of createReadStream(filePath, { highWaterMark: 1024 * 1024 })) {
+        let start = 0;
+        for (let i = 0; i < block.length; i++) {
+            hash = ((hash << 1) + GEAR[block[i]]) >>> 0;
+            const length = pendingLength + i - start + 1;
+            if ((length >= MIN_CHUNK_SIZE && (hash & CHUNK_MASK) === 0) || length >= MAX_CHUNK_SIZE) {
+                pending.push(block.subarray(start, i + 1));
+                yield Buffer.concat(pending);
+                pending = [];
+                pendingLength = 0;
+                hash = 0;
+                start = i + 1;
+            }
+        }
+        if (start < block.length) {
+            pending.push(block.subarray(start));
+            pendingLength += block.length - start;
+        }
+    }
+    if (pendingLength > 0) yield Buffer.concat(pending);
+}
+
+// Keyed ids when encrypting, so chunk names don't reveal hashes of the save's content
+function chunkId(data, passphrase) {
+    return passphrase
+        ? crypto.createHmac('sha256', passphrase).update(data).digest('hex')
+        : crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function snapshotObjectName(fileName) {
+    return `${SNAPSHOT_PREFIX}${fileName}${SNAPSHOT_SUFFIX}`;
+}
+
+const indexCache = new Map(); // object id -> parsed index (objects are never modified)
+
+async function readIndex(store, object, cipher) {
+    if (indexCache.has(object.id)) return indexCache.get(object.id);
+    let data = await store.read(object);
+    if (isEncryptedBuffer(data)) {
+        if (!cipher) throw new Error(`Snapshot ${object.name} is encrypted and no passphrase is set.`);
+        data = await cipher.decrypt(data);
+    }
+    const index = JSON.parse(data.toString('utf-8'));
+    indexCache.set(object.id, index);
+    return index;
+}
+
+/**
+ * Uploads a save as a snapshot: only chunks the repository doesn't have yet are written,
+ * followed by the snapshot index.
+ */
+export async function uploadSnapshot(store, filePath, fileName, { sha256 = null, metadata = null, passphrase = null } = {}) {
+    const cipher = passphrase ? createBufferCipher(passphrase) : null;
+    const known = new Set((await store.list()).map(object => object.name));
+    const index = { version: 1, name: fileName, size: 0, sha256, createdAt: new Date().toISOString(), metadata, chunks: [] };
+    let newChunks = 0;
+    let uploadedBytes = 0;
+
+    for await (const chunk of splitIntoChunks(filePath)) {
+        const id = chunkId(chunk, passphrase);
+        index.chunks.push(id);
+        index.size += chunk.length;
+        const name = `${CHUNK_PREFIX}${id}`;
+        if (known.has(name)) continue;
+
+        const payload = cipher ? await cipher.encrypt(chunk) : chunk;
+        await store.write(name, payload);
+        known.add(name);
+        newChunks++;
+        uploadedBytes += payload.length;
+    }
+
+    const indexData = Buffer.from(JSON.stringify(index));
+    const object = await store.write(snapshotObjectName(fileName), cipher ? await cipher.encrypt(indexData) : indexData);
+    indexCache.set(object.id, index);
+
+    console.log(`📦 ${newChunks} of ${index.chunks.length} chunks were new (${(uploadedBytes / 1024 / 1024).toFixed(2)} MB uploaded for a ${(index.size / 1024 / 1024).toFixed(2)} MB save).`);
+    return { object, index };
+}
+
+function toFileEntry(object, index) {
+    return {
+        id: object.id,
+        name: index?.name || object.name.slice(SNAPSHOT_PREFIX.length, -SNAPSHOT_SUFFIX.length),
+        modifiedTime: index?.createdAt || object.modifiedTime,
+        size: index?.size ?? 0,
+        link: object.link || null,
+        metadata: index?.metadata || null,
+        sha256: index?.sha256 || null,
+        snapshot: true
+    };
+}
+
+/**
+ * Lists snapshots as regular backup entries (newest first). Snapshots whose index can't be
+ * read (e.g. encrypted with another passphrase) are still listed, without details.
+ */
+export async function listSnapshots(store, passphrase = null) {
+    const cipher = passphrase ? createBufferCipher(passphrase) : null;
+    const objects = (await store.list()).filter(object => object.name.startsWith(SNAPSHOT_PREFIX) && object.name.endsWith(SNAPSHOT_SUFFIX));
+    const entries = [];
+    for (const object of objects) {
+        let index = null;
+        try {
+            index = await readIndex(store, object, cipher);
+        } catch (e) {
+            // Listed without details
+        }
+        entries.push(toFileEntry(object, index));
+    }
+    return entries.sort((a, b) => new Date(b.modifiedTime) - new Date(a.modifiedTime));
+}
+
+/**
+ * Reassembles a snapshot into `destinationPath`, checking every chunk on the way.
+ */
+export async function restoreSnapshot(store, file, destinationPath, passphrase = null) {
+    const cipher = passphrase ? createBufferCipher(passphrase) : null;
+    const objects = await store.list();
+    const object = objects.find(o => o.id === file.id);
+    if (!object) throw new Error(`Snapshot ${file.name} no longer exists.`);
+    const index = await readIndex(store, object, cipher);
+    const byName = new Map(objects.map(o => [o.name, o]));
+
+    const output = await fs.open(destinationPath, 'w');
+    try {
+        for (const id of index.chunks) {
+            const chunkObject = byName.get(`${CHUNK_PREFIX}${id}`);
+            if (!chunkObject) throw new Error(`Chunk ${id.substring(0, 12)} of ${file.name} is missing from the repository.`);
+            let data = await store.read(chunkObject);
+            if (isEncryptedBuffer(data)) {
+                if (!cipher) throw new Error(`${file.name} is encrypted. Set the passphrase under General Settings > Encrypt Backups first.`);
+                data = await cipher.decrypt(data);
+            }
+            if (chunkId(data, passphrase && isEncryptedName(index.name) ? passphrase : null) !== id) {
+                throw new Error(`Chunk ${id.substring(0, 12)} of ${file.name} is corrupted.`);
+            }
+            await output.write(data);
+        }
+        await output.close();
+    } catch (e) {
+        await output.close();
+        await fs.rm(destinationPath, { force: true });
+        throw e;
+    }
+    return destinationPath;
+}
+
+/**
+ * Deletes a snapshot, then every chunk no remaining snapshot refers to. Garbage collection is
+ * skipped if any index can't be read, since its chunks can't be told apart.
+ */
+export async function deleteSnapshot(store, file, passphrase = null) {
+    const cipher = passphrase ? createBufferCipher(passphrase) : null;
+    const objects = await store.list();
+    const object = objects.find(o => o.id === file.id);
+    if (object) {
+        await store.remove(object);
+        indexCache.delete(object.id);
+    }
+
+    const referenced = new Set();
+    for (const snapshot of objects.filter(o => o !== object && o.name.startsWith(SNAPSHOT_PREFIX))) {
+        try {
+            (await readIndex(store, snapshot, cipher)).chunks.forEach(id => referenced.add(id));
+        } catch (e) {
+            console.warn(`⚠️  Could not read ${snapshot.name}, unused chunks were kept: ${e.message}`);
+            return;
+        }
+    }
+    for (const chunk of objects.filter(o => o.name.startsWith(CHUNK_PREFIX))) {
+        if (!referenced.has(chunk.name.slice(CHUNK_PREFIX.length))) await store.remove(chunk);
+    }
+}
+
+/**
+ * Wraps a provider that offers `openRepository(settings)` so backups are stored as snapshots.
+ * Full backups already on the destination stay listed and can still be restored or pruned.
+ * The store returned by openRepository is { list(), read(object), write(name, buffer), remove(object) },
+ * where objects are { id, name, size, modifiedTime, link? }.
+ */
+export function createRepositoryProvider(provider, config) {
+    const passphrase = () => config.encryption?.passphrase || null;
+
+    return {
+        ...provider,
+        name: `${provider.name} (incremental)`,
+        chunked: true,
+
+        async upload(settings, filePath, fileName, options = {}) {
+            const store = await provider.openRepository(settings);
+            const { object, index } = await uploadSnapshot(store, filePath, fileName, options);
+            return { ...toFileEntry(object, index), link: null };
+        },
+
+        async list(settings) {
+            const snapshots = await listSnapshots(await provider.openRepository(settings), passphrase());
+            const files = await provider.list(settings);
+            return [...snapshots, ...files].sort((a, b) => new Date(b.modifiedTime) - new Date(a.modifiedTime));
+        },
+
+        async download(settings, file, destinationPath) {
+            if (!file.snapshot) return await provider.download(settings, file, destinationPath);
+            return await restoreSnapshot(await provider.openRepository(settings), file, destinationPath, passphrase());
+        },
+
+        async delete(settings, file) {
+            if (!file.snapshot) return await provider.delete(settings, file);
+            await deleteSnapshot(await provider.openRepository(settings), file, passphrase());
+        },
+
+        async stat(settings, file) {
+            if (!file.snapshot) return await provider.stat(settings, file);
+            const snapshots = await listSnapshots(await provider.openRepository(settings), passphrase());
+            return snapshots.find(s => s.id === file.id) || null;
+        }
+    };
+}
@@ -0,0 +1,124 @@
+// retention.js
+// Grandfather-father-son pruning for uploaded backups.
+
+// Matches the names produced by FactorioBackup.formatBackupName: <prefix_><world>_YYYYMMDD_HHMMSS.zip[.enc]
+const BACKUP_NAME_PATTERN = /^(.*)_(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})(\d{2})\.zip(?:\.enc)?$/i;
+
+export const DEFAULT_RETENTION = {
+    keepLast: 0,
+    keepDaily: 0,
+    keepWeekly: 0,
+    keepMonthly: 0,
+    maxTotalSizeMB: 0
+};
+
+export function isRetentionEnabled(policy) {
+    if (!policy) return false;
+    return Object.keys(DEFAULT_RETENTION).some(key => policy[key] > 0);
+}
+
+export function describeRetention(policy) {
+    if (!isRetentionEnabled(policy)) return 'Keep everything';
+    const parts = [];
+    if (policy.keepLast) parts.push(`last ${policy.keepLast}`);
+    if (policy.keepDaily) parts.push(`${policy.keepDaily}d`);
+    if (policy.keepWeekly) parts.push(`${policy.keepWeekly}w`);
+    if (policy.keepMonthly) parts.push(`${policy.keepMonthly}m`);
+    if (policy.maxTotalSizeMB) parts.push(`≤${policy.maxTotalSizeMB} MB`);
+    return parts.join(', ');
+}
+
+/**
+ * Splits a formatted backup name into its world name and UTC timestamp.
+ * Returns null for files that weren't created by this tool; those are never pruned.
+ */
+export function parseBackupName(fileName) {
+    const match = fileName.match(BACKUP_NAME_PATTERN);
+    if (!match) return null;
+    const [, world, year, month, day, hour, minute, second] = match;
+    return {
+        world,
+        time: new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second))
+    };
+}
+
+// ISO-8601 week key (e.g. 2026-W07) so weeks start on Monday regardless of locale
+function weekKey(date) {
+    const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    const dayNum = d.getUTCDay() || 7;
+    d.setUTCDate(d.getUTCDate() + 4 - dayNum);
+    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+    return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+const BUCKETS = {
+    keepDaily: (date) => date.toISOString().substring(0, 10),
+    keepWeekly: weekKey,
+    keepMonthly: (date) => date.toISOString().substring(0, 7)
+};
+
+/**
+ * Decides which backups of a single world to keep.
+ * `backups` must be [{ file, time }] sorted newest first.
+ */
+function planWorld(backups, policy) {
+    const reasons = new Map(); // backup -> why it is kept
+
+    backups.slice(0, policy.keepLast || 0).forEach(b => reasons.set(b, 'last'));
+
+    for (const [rule, bucketOf] of Object.entries(BUCKETS)) {
+        const limit = policy[rule] || 0;
+        const seen = new Set();
+        for (const backup of backups) {
+            if (seen.size >= limit) break;
+            const bucket = bucketOf(backup.time);
+            if (seen.has(bucket)) continue;
+            seen.add(bucket);
+            if (!reasons.has(backup)) reasons.set(backup, rule.replace('keep', '').toLowerCase());
+        }
+    }
+
+    // The newest backup is always kept, whatever the policy says
+    if (backups.length > 0 && !reasons.has(backups[0])) reasons.set(backups[0], 'newest');
+
+    let kept = backups.filter(b => reasons.has(b));
+    if (policy.maxTotalSizeMB > 0) {
+        const limit = policy.maxTotalSizeMB * 1024 * 1024;
+        let total = kept.reduce((sum, b) => sum + (Number(b.file.size) || 0), 0);
+        // Drop the oldest keepers first, never the newest one
+        while (total > limit && kept.length > 1) {
+            const dropped = kept.pop();
+            reasons.delete(dropped);
+            total -= Number(dropped.file.size) || 0;
+        }
+    }
+
+    return {
+        keep: kept.map(b => ({ ...b.file, reason: reasons.get(b) })),
+        remove: backups.filter(b => !reasons.has(b)).map(b => b.file)
+    };
+}
+
+/**
+ * Groups remote files by world and applies the policy to each group.
+ * Returns { [world]: { keep: [...], remove: [...] } }. When `world` is given, only that
+ * world is planned. Files that don't follow the backup naming scheme are left out entirely.
+ */
+export function planRetention(files, policy, world = null) {
+    const groups = new Map();
+    for (const file of files) {
+        const parsed = parseBackupName(file.name);
+        if (!parsed) continue;
+        if (world !== null && parsed.world !== world) continue;
+        if (!groups.has(parsed.world)) groups.set(parsed.world, []);
+        groups.get(parsed.world).push({ file, time: parsed.time });
+    }
+
+    const plan = {};
+    for (const [name, backups] of groups) {
+        backups.sort((a, b) => b.time - a.time);
+        plan[name] = planWorld(backups, policy);
+    }
+    return plan;
+}
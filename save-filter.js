@@ -0,0 +1,71 @@
+// save-filter.js
+// Include/exclude rules deciding which saves are backed up and synced.
+// A rule is either a glob (`_autosave*`, `megabase?.zip`) or a regex written as `/pattern/flags`.
+
+export const DEFAULT_SAVE_FILTER = {
+    include: [], // Empty = every save
+    exclude: []
+};
+
+/**
+ * Turns a single rule into a RegExp. Globs are case-insensitive and anchored to the whole
+ * name; `*` and `?` are the only wildcards. Throws on an invalid regex.
+ */
+export function compilePattern(pattern) {
+    const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+        return new RegExp(regexMatch[1], regexMatch[2]);
+    }
+    const source = pattern
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Splits a comma separated list typed in the setup menu into rules, rejecting invalid ones.
+ */
+export function parsePatternList(text) {
+    const patterns = (text || '').split(',').map(p => p.trim()).filter(Boolean);
+    for (const pattern of patterns) {
+        try {
+            compilePattern(pattern);
+        } catch (e) {
+            throw new Error(`Invalid pattern "${pattern}": ${e.message}`);
+        }
+    }
+    return patterns;
+}
+
+// Rules may be written with or without the .zip extension
+function matchesAny(name, patterns) {
+    const bare = name.replace(/\.zip$/i, '');
+    return patterns.some(pattern => {
+        const regex = compilePattern(pattern);
+        return regex.test(name) || regex.test(bare);
+    });
+}
+
+/**
+ * True if a save file name passes the filter: it matches an include rule (or there are
+ * none) and matches no exclude rule.
+ */
+export function isSaveIncluded(name, filter) {
+    const include = filter?.include || [];
+    const exclude = filter?.exclude || [];
+    if (include.length > 0 && !matchesAny(name, include)) return false;
+    return !matchesAny(name, exclude);
+}
+
+export function hasSaveFilter(filter) {
+    return (filter?.include?.length || 0) + (filter?.exclude?.length || 0) > 0;
+}
+
+export function describeSaveFilter(filter) {
+    if (!hasSaveFilter(filter)) return 'All saves';
+    const parts = [];
+    if (filter.include?.length) parts.push(`only ${filter.include.join(', ')}`);
+    if (filter.exclude?.length) parts.push(`skip ${filter.exclude.join(', ')}`);
+    return parts.join('; ');
+}
@@ -0,0 +1,293 @@
+// save-metadata.js
+// Reads the header Factorio writes at the start of level-init.dat / level.dat inside a save,
+// which is what the in-game load screen uses: game version, scenario, play time and mods.
+import zlib from 'zlib';
+import path from 'path';
+import { openZip, verifyZipEntries, writeStoredZip } from './zip-reader.js';
+
+const TICKS_PER_SECOND = 60;
+// Sanity bound for the play time counter: anything above ~10 years of play is misparsed data
+const MAX_PLAUSIBLE_TICKS = TICKS_PER_SECOND * 3600 * 24 * 365 * 10;
+
+class HeaderReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.offset = 0;
+    }
+
+    ensure(length) {
+        if (this.offset + length > this.buffer.length) {
+            throw new Error('Unexpected end of save header.');
+        }
+    }
+
+    u8() {
+        this.ensure(1);
+        return this.buffer.readUInt8(this.offset++);
+    }
+
+    bool() {
+        return this.u8() !== 0;
+    }
+
+    u16() {
+        this.ensure(2);
+        const value = this.buffer.readUInt16LE(this.offset);
+        this.offset += 2;
+        return value;
+    }
+
+    u32() {
+        this.ensure(4);
+        const value = this.buffer.readUInt32LE(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    skip(length) {
+        this.ensure(length);
+        this.offset += length;
+    }
+
+    // Factorio's "space optimized" integers: one byte, or 0xFF followed by the full width
+    optimizedU16() {
+        const value = this.u8();
+        return value === 0xff ? this.u16() : value;
+    }
+
+    optimizedU32() {
+        const value = this.u8();
+        return value === 0xff ? this.u32() : value;
+    }
+
+    string() {
+        const length = this.optimizedU32();
+        this.ensure(length);
+        const value = this.buffer.toString('utf8', this.offset, this.offset + length);
+        this.offset += length;
+        return value;
+    }
+
+    propertyTree() {
+        const type = this.u8();
+        this.bool(); // "any type" flag
+        switch (type) {
+            case 0: return null;
+            case 1: return this.bool();
+            case 2: this.skip(8); return null; // double
+            case 3: return this.bool() ? '' : this.string();
+            case 4:
+            case 5: {
+                const count = this.u32();
+                for (let i = 0; i < count; i++) {
+                    if (!this.bool()) this.string(); // key
+                    this.propertyTree();
+                }
+                return null;
+            }
+            case 6:
+            case 7: this.skip(8); return null; // signed / unsigned 64-bit integer
+            default: throw new Error(`Unknown property tree type ${type}.`);
+        }
+    }
+}
+
+function isPlausibleName(name) {
+    return name.length > 0 && name.length <= 100 && !/[\x00-\x1f]/.test(name);
+}
+
+/**
+ * Parses the save header. Fields are filled in the order they appear, so if a newer or
+ * older save format trips the parser, everything read up to that point is still returned.
+ */
+export function parseSaveHeader(buffer) {
+    const reader = new HeaderReader(buffer);
+    const metadata = { gameVersion: null, build: null, campaign: null, scenario: null, baseMod: null, playTicks: null, mods: [] };
+
+    try {
+        const [major, minor, patch, build] = [reader.u16(), reader.u16(), reader.u16(), reader.u16()];
+        metadata.gameVersion = `${major}.${minor}.${patch}`;
+        metadata.build = build;
+        reader.u8(); // Branch version, unused
+
+        metadata.campaign = reader.string();
+        metadata.scenario = reader.string();
+        metadata.baseMod = reader.string();
+
+        reader.u8();     // Difficulty
+        reader.bool();   // Finished
+        reader.bool();   // Player won
+        reader.string(); // Next level
+        reader.bool();   // Can continue
+        reader.bool();   // Finished but continuing
+        reader.bool();   // Saving replay
+        reader.bool();   // Allow non-admin debug options
+        reader.optimizedU16(); reader.optimizedU16(); reader.optimizedU16(); // Loaded from version
+        reader.u16();    // Loaded from build
+        reader.u8();     // Allowed commands
+
+        const modCount = reader.optimizedU32();
+        if (modCount > 5000) throw new Error('Implausible mod count.');
+        const mods = [];
+        for (let i = 0; i < modCount; i++) {
+            const name = reader.string();
+            const version = [reader.optimizedU16(), reader.optimizedU16(), reader.optimizedU16()].join('.');
+            reader.u32(); // CRC
+            if (!isPlausibleName(name)) throw new Error('Implausible mod name.');
+            mods.push({ name, version });
+        }
+        metadata.mods = mods;
+
+        reader.propertyTree(); // Startup mod settings
+        const ticks = reader.u32();
+        if (ticks <= MAX_PLAUSIBLE_TICKS) metadata.playTicks = ticks;
+    } catch (e) {
+        // Keep whatever was parsed before the format diverged
+    }
+
+    return metadata;
+}
+
+function maybeInflate(buffer) {
+    // Since 1.1 the level files are additionally zlib-compressed inside the archive
+    if (buffer.length > 2 && buffer[0] === 0x78 && ((buffer[0] << 8) | buffer[1]) % 31 === 0) {
+        try {
+            return zlib.inflateSync(buffer);
+        } catch (e) {
+            return buffer;
+        }
+    }
+    return buffer;
+}
+
+/**
+ * Finds the entry holding the save header: level-init.dat on 1.1+, level.dat0 / level.dat before that.
+ */
+export function findHeaderEntry(entries) {
+    const byName = (suffix) => entries.find(e => e.name === suffix || e.name.endsWith(`/${suffix}`));
+    return byName('level-init.dat') || byName('level.dat0') || byName('level.dat') || null;
+}
+
+/**
+ * Reads the metadata of a save file. Returns null if the file isn't a readable Factorio save;
+ * metadata is informational only, so this never throws.
+ */
+export async function readSaveMetadata(filePath) {
+    let zip;
+    try {
+        zip = await openZip(filePath);
+        const entry = findHeaderEntry(zip.entries);
+        if (!entry) return null;
+        const metadata = parseSaveHeader(maybeInflate(await zip.readEntry(entry)));
+        return metadata.gameVersion ? metadata : null;
+    } catch (e) {
+        return null;
+    } finally {
+        await zip?.close();
+    }
+}
+
+export function formatPlayTime(ticks) {
+    if (ticks === null || ticks === undefined) return 'Unknown';
+    const totalMinutes = Math.floor(ticks / TICKS_PER_SECOND / 60);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+/**
+ * One-line summary for menus, e.g. "freeplay · v1.1.110 · 3h 12m · 42 mods".
+ */
+export function describeSave(metadata) {
+    if (!metadata) return '';
+    const parts = [];
+    if (metadata.scenario) parts.push(metadata.scenario);
+    if (metadata.gameVersion) parts.push(`v${metadata.gameVersion}`);
+    if (metadata.playTicks !== null && metadata.playTicks !== undefined) parts.push(formatPlayTime(metadata.playTicks));
+    const modCount = metadata.modCount ?? metadata.mods?.length;
+    if (modCount) parts.push(`${modCount} mods`);
+    return parts.join(' · ');
+}
+
+/**
+ * Flattens metadata into short string key/values for storage backends that support
+ * custom file properties (Drive limits each key + value to 124 bytes).
+ */
+export function toFileProperties(metadata) {
+    if (!metadata) return {};
+    const properties = {
+        factorioVersion: metadata.gameVersion,
+        factorioScenario: metadata.scenario?.substring(0, 90),
+        factorioPlayTicks: metadata.playTicks !== null && metadata.playTicks !== undefined ? String(metadata.playTicks) : null,
+        factorioModCount: String(metadata.mods?.length || 0)
+    };
+    return Object.fromEntries(Object.entries(properties).filter(([, value]) => value));
+}
+
+export function fromFileProperties(properties) {
+    if (!properties?.factorioVersion) return null;
+    return {
+        gameVersion: properties.factorioVersion,
+        scenario: properties.factorioScenario || null,
+        playTicks: properties.factorioPlayTicks ? Number(properties.factorioPlayTicks) : null,
+        // Only the count survives the round trip; the full list lives in the local history
+        mods: [],
+        modCount: Number(properties.factorioModCount || 0)
+    };
+}
+
+/**
+ * Checks that a file is a complete Factorio save: a well-formed zip whose entries all pass
+ * their CRC check and which contains a level header. Throws an Error describing the problem.
+ */
+export async function validateSaveArchive(filePath) {
+    let zip;
+    try {
+        zip = await openZip(filePath);
+        if (!findHeaderEntry(zip.entries)) {
+            throw new Error('No level-init.dat or level.dat entry found, this is not a Factorio save.');
+        }
+        await verifyZipEntries(zip);
+    } catch (e) {
+        throw new Error(`Invalid save archive: ${e.message}`);
+    } finally {
+        await zip?.close();
+    }
+}
+
+function encodeString(value) {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+}
+
+/**
+ * Writes a small save-shaped zip (header only, no map) that passes validateSaveArchive,
+ * for exercising the backup pipeline without launching the game.
+ */
+export async function writeTestSave(filePath) {
+    const u16 = (...values) => Buffer.from(new Uint16Array(values).buffer);
+    const u32 = (value) => { const b = Buffer.alloc(4); b.writeUInt32LE(value); return b; };
+    const playTicks = Math.floor(Math.random() * TICKS_PER_SECOND * 3600 * 10);
+
+    const header = Buffer.concat([
+        u16(2, 0, 0, 0),                    // Game version
+        Buffer.from([0]),
+        encodeString(''),                   // Campaign
+        encodeString('test-save'),          // Scenario
+        encodeString('base'),
+        Buffer.from([0, 0, 0]),             // Difficulty, finished, player won
+        encodeString(''),                   // Next level
+        Buffer.from([0, 0, 0, 0]),
+        Buffer.from([2, 0, 0]), u16(0),     // Loaded from
+        Buffer.from([0]),                   // Allowed commands
+        Buffer.from([1]), encodeString('base'), Buffer.from([2, 0, 0]), u32(0), // Mods
+        Buffer.from([5, 0]), u32(0),        // Empty startup settings
+        u32(playTicks)
+    ]);
+
+    const folder = path.basename(filePath, '.zip');
+    await writeStoredZip(filePath, [
+        { name: `${folder}/level-init.dat`, data: header },
+        { name: `${folder}/info.txt`, data: `Test save generated at ${new Date().toLocaleString()}` }
+    ]);
+}
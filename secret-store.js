@@ -0,0 +1,235 @@
+// secret-store.js
+// Encrypts secrets at rest (tokens and passwords in config.json, gdrive-token.json) with
+// AES-256-GCM. The key is either a random per-install key kept in a permission-restricted
+// key file, or derived from a master passphrase the user types at startup.
+import { existsSync, readFileSync, writeFileSync, chmodSync } from 'fs';
+import crypto from 'crypto';
+
+const KEY_FILE = '.secret-key'; // Next to config.json
+const SECRET_PREFIX = 'enc:v1:';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const CHECK_VALUE = 'factorio-backup-secret-store';
+
+// The old "obfuscation": fixed key, fixed salt, zero IV. Only kept to migrate existing configs.
+const LEGACY_PREFIX = 'obf:';
+const LEGACY_KEY = 'factorio-backup-secret-key';
+
+// Lets the monitor run unattended in passphrase mode (e.g. as a service)
+export const MASTER_PASSPHRASE_ENV = 'FACTORIO_BACKUP_MASTER_PASSPHRASE';
+
+export const SECRET_STORE_MODES = {
+    keyfile: 'Key file',
+    passphrase: 'Master passphrase',
+    off: 'Off (plain text)'
+};
+
+let activeKey = null;
+let pendingChange = null; // { storeConfig, key } chosen by changeSecretStore, applied by commitSecretStore
+const sealedFiles = new Set(); // JSON files sealed with the active key, re-encrypted on key changes
+
+/**
+ * Declares a JSON file written with writeSecretJson, so changing the key re-encrypts it
+ * even if it wasn't read during this session.
+ */
+export function registerSecretFile(filePath) {
+    sealedFiles.add(filePath);
+}
+
+export function isSealed(value) {
+    return typeof value === 'string' && (value.startsWith(SECRET_PREFIX) || value.startsWith(LEGACY_PREFIX));
+}
+
+function encrypt(key, value) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const body = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return SECRET_PREFIX + Buffer.concat([iv, body, cipher.getAuthTag()]).toString('base64');
+}
+
+function decrypt(key, value) {
+    const data = Buffer.from(value.substring(SECRET_PREFIX.length), 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(0, IV_LENGTH));
+    decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+    return Buffer.concat([decipher.update(data.subarray(IV_LENGTH, data.length - TAG_LENGTH)), decipher.final()]).toString('utf8');
+}
+
+function legacyDeobfuscate(value) {
+    const decipher = crypto.createDecipheriv('aes-256-cbc', crypto.scryptSync(LEGACY_KEY, 'salt', 32), Buffer.alloc(16, 0));
+    return decipher.update(value.substring(LEGACY_PREFIX.length), 'hex', 'utf8') + decipher.final('utf8');
+}
+
+/**
+ * Loads the key file, creating it unless `create` is false: a new key can't open anything
+ * sealed with the old one, and saving with it would lose those secrets for good.
+ */
+function loadOrCreateKeyFile(create = true) {
+    if (existsSync(KEY_FILE)) {
+        const key = Buffer.from(readFileSync(KEY_FILE, 'utf-8').trim(), 'base64');
+        if (key.length !== 32) throw new Error(`${KEY_FILE} is corrupted.`);
+        return key;
+    }
+    if (!create) {
+        throw new Error(`The key file ${KEY_FILE} is missing, but stored secrets are encrypted with it. Put it back next to config.json (e.g. from the machine the config was copied from) and restart.`);
+    }
+    const key = crypto.randomBytes(32);
+    writeFileSync(KEY_FILE, key.toString('base64'), { mode: 0o600 });
+    chmodSync(KEY_FILE, 0o600); // mode is ignored when the file already existed
+    console.log(`🔑 Created ${KEY_FILE}. Keep it with config.json: the stored secrets can't be read without it.`);
+    return key;
+}
+
+function deriveMasterKey(passphrase, salt) {
+    return crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), 32, SCRYPT_OPTIONS);
+}
+
+function isCorrectKey(key, check) {
+    try {
+        return decrypt(key, check) === CHECK_VALUE;
+    } catch (e) {
+        return false;
+    }
+}
+
+export function isUnlocked() {
+    return activeKey !== null;
+}
+
+// True when `values` or one of the registered JSON files hold something sealed with a key
+function hasSealedData(values) {
+    if (values.some(value => typeof value === 'string' && value.startsWith(SECRET_PREFIX))) return true;
+    return [...sealedFiles].filter(existsSync).some(filePath => {
+        try {
+            return typeof JSON.parse(readFileSync(filePath, 'utf-8')).sealed === 'string';
+        } catch (e) {
+            return false;
+        }
+    });
+}
+
+/**
+ * Loads the key described by `storeConfig` ({ mode, salt?, check? } from config.json).
+ * In passphrase mode the passphrase comes from MASTER_PASSPHRASE_ENV or `askPassphrase()`.
+ * `storedValues` are the secrets as stored in config.json; while any of them (or a registered
+ * file) is sealed, a missing key file is an error instead of being replaced by a new one.
+ */
+export async function unlockSecretStore(storeConfig, askPassphrase, storedValues = []) {
+    const mode = storeConfig?.mode || 'off';
+    if (mode === 'off') {
+        activeKey = null;
+    } else if (mode === 'keyfile') {
+        activeKey = loadOrCreateKeyFile(!hasSealedData(storedValues));
+    } else if (mode === 'passphrase') {
+        const fromEnv = process.env[MASTER_PASSPHRASE_ENV];
+        if (fromEnv) {
+            const key = deriveMasterKey(fromEnv, storeConfig.salt);
+            if (!isCorrectKey(key, storeConfig.check)) throw new Error(`Wrong master passphrase in ${MASTER_PASSPHRASE_ENV}.`);
+            activeKey = key;
+            return;
+        }
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const key = deriveMasterKey(await askPassphrase(), storeConfig.salt);
+            if (isCorrectKey(key, storeConfig.check)) {
+                activeKey = key;
+                return;
+            }
+            console.error('❌ Wrong master passphrase.');
+        }
+        throw new Error('Could not unlock the secret store.');
+    } else {
+        throw new Error(`Unknown secret store mode: ${mode}`);
+    }
+}
+
+/**
+ * Prepares a switch to a new key. Returns the { mode, salt?, check? } object to keep in
+ * config.json; the current key stays in use until a config holding that object is saved
+ * (see selectSecretStore and commitSecretStore), so the sealed files never get ahead of it.
+ */
+export function changeSecretStore(mode, passphrase = null) {
+    let storeConfig;
+    let key = null;
+    if (mode === 'passphrase') {
+        const salt = crypto.randomBytes(16).toString('base64');
+        key = deriveMasterKey(passphrase, salt);
+        storeConfig = { mode, salt, check: encrypt(key, CHECK_VALUE) };
+    } else {
+        if (mode === 'keyfile') key = loadOrCreateKeyFile();
+        storeConfig = { mode };
+    }
+    pendingChange = { storeConfig, key };
+    return storeConfig;
+}
+
+/**
+ * Called before sealing a config whose store settings are `storeConfig`. Returns true when
+ * they come from changeSecretStore, so sealSecret uses the new key; a change the config no
+ * longer holds (e.g. the setup was cancelled) is dropped.
+ */
+export function selectSecretStore(storeConfig) {
+    if (pendingChange && pendingChange.storeConfig !== storeConfig) pendingChange = null;
+    return pendingChange !== null;
+}
+
+/**
+ * Makes the pending key the active one and re-encrypts the sealed JSON files with it. Call
+ * once config.json was written with the new store settings.
+ */
+export function commitSecretStore() {
+    if (!pendingChange) return;
+    const contents = [...sealedFiles].filter(existsSync).map(filePath => [filePath, readSecretJson(filePath)]);
+    activeKey = pendingChange.key;
+    pendingChange = null;
+    for (const [filePath, data] of contents) {
+        writeSecretJson(filePath, data);
+    }
+}
+
+/**
+ * Encrypts a secret with the key the next config save uses (the pending one while a change
+ * is selected). Values are returned unchanged when the store is off.
+ */
+export function sealSecret(value) {
+    const key = pendingChange ? pendingChange.key : activeKey;
+    if (!value || !key) return value;
+    return encrypt(key, value);
+}
+
+/**
+ * Decrypts a value written by sealSecret (or the legacy `obf:` format). Plain values are
+ * returned unchanged. Throws if the value can't be decrypted with the active key.
+ */
+export function openSecret(value) {
+    if (typeof value !== 'string') return value;
+    if (value.startsWith(LEGACY_PREFIX)) return legacyDeobfuscate(value);
+    if (!value.startsWith(SECRET_PREFIX)) return value;
+    if (!activeKey) throw new Error('The secret store is locked.');
+    try {
+        return decrypt(activeKey, value);
+    } catch (e) {
+        throw new Error('A stored secret could not be decrypted (wrong master passphrase or missing key file).');
+    }
+}
+
+/**
+ * Reads a JSON file written by writeSecretJson. Plain JSON files are accepted and re-sealed,
+ * which migrates files written before the secret store existed.
+ */
+export function readSecretJson(filePath) {
+    sealedFiles.add(filePath);
+    const content = JSON.parse(readFileSync(filePath, 'utf-8'));
+    if (typeof content.sealed === 'string') {
+        return JSON.parse(openSecret(content.sealed));
+    }
+    if (activeKey) writeSecretJson(filePath, content);
+    return content;
+}
+
+export function writeSecretJson(filePath, data) {
+    sealedFiles.add(filePath);
+    const json = JSON.stringify(data, null, 2);
+    const content = activeKey ? JSON.stringify({ sealed: sealSecret(json) }, null, 2) : json;
+    writeFileSync(filePath, content, { mode: 0o600 });
+    chmodSync(filePath, 0o600);
+}
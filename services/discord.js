@@ -1,106 +1,382 @@
 // services/discord.js
-export async function sendNotification(webhookUrl, fileName, downloadUrl, serviceName) {
-    if (!webhookUrl) return;
-
-    const embed = {
-        title: '🚀 Factorio Backup Successful',
-        description: `A new backup has been uploaded to **${serviceName}**.`,
-        color: 0xe67e22, // Orange (Factorio-like color)
-        fields: [
-            {
-                name: '📁 Filename',
-                value: `\`${fileName}\``,
-                inline: true
-            },
-            {
-                name: '🌐 Service',
-                value: serviceName,
-                inline: true
-            },
-            {
-                name: '🔗 Download Link',
-                value: downloadUrl
-            }
-        ],
-        timestamp: new Date().toISOString(),
-        footer: {
-            text: 'Factorio Backup Manager'
-        }
-    };
+import { promises as fs } from 'fs';
 
-    try {
-        const response = await fetch(webhookUrl, {
+const SEND_TIMEOUT = 30000;
+
+/**
+ * Notification channel posting the rendered message as an embed through a webhook; the
+ * template's mention (e.g. a role ping) goes in the message content.
+ */
+export const discordNotifier = {
+    id: 'discord',
+    name: 'Discord',
+    defaults: { webhookUrl: null },
+    prompts: [
+        { key: 'webhookUrl', message: 'Discord Webhook URL:', required: true, secret: true }
+    ],
+
+    async send(settings, message) {
+        const embed = {
+            title: message.title.substring(0, 256),
+            description: message.description.substring(0, 4096) || undefined,
+            color: message.color,
+            fields: message.fields.slice(0, 25).map(field => ({
+                name: field.name.substring(0, 256),
+                value: (field.code ? `\`${field.value}\`` : field.value).substring(0, 1024),
+                inline: field.inline
+            })),
+            timestamp: new Date().toISOString(),
+            footer: message.footer ? { text: message.footer.substring(0, 2048) } : undefined
+        };
+
+        // A fresh timeout per attempt, retries after a rate limit get their own
+        const response = await discordFetch(settings.webhookUrl, () => ({
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                embeds: [embed]
-            })
-        });
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ content: message.mention || undefined, embeds: [embed] }),
+            signal: AbortSignal.timeout(SEND_TIMEOUT)
+        }));
+        if (!response.ok) throw new Error(`${response.status} ${await response.text()}`);
+    }
+};
 
-        if (!response.ok) {
-            console.error('Discord notification failed:', response.status, await response.text());
-        } else {
-            console.log('✅ Discord notification sent!');
+const DISCORD_API = 'https://discord.com/api/v10';
+const HISTORY_PAGE_SIZE = 100; // Discord's maximum for GET /channels/{id}/messages
+const MAX_PAGES_PER_SEARCH = 20; // Stop scanning after 2000 messages without enough matches
+
+/**
+ * fetch() that waits out Discord's rate limits (HTTP 429) and retries. `init` may be a
+ * function so request bodies such as FormData are rebuilt for every attempt.
+ */
+async function discordFetch(url, init = {}) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const response = await fetch(url, typeof init === 'function' ? init() : init);
+        if (response.status !== 429) return response;
+        const body = await response.json().catch(() => ({}));
+        await new Promise(resolve => setTimeout(resolve, (body.retry_after ?? 1) * 1000));
+    }
+    throw new Error('Discord kept rate limiting the request, try again later.');
+}
+
+function botHeaders(botToken) {
+    return {
+        'Authorization': `Bot ${botToken}`,
+        'Content-Type': 'application/json'
+    };
+}
+
+/**
+ * Extracts a backup from a message posted by this tool (or any message with a link).
+ * Returns { url, fileName, sha256, timestamp, messageId, parts?, saveName? } or null. Backups
+ * stored as attachments (see discordStorageProvider) have `parts`, the ids of the messages
+ * holding them, and `saveName`, the local save they were made from.
+ */
+export function parseBackupMessage(message) {
+    // Check embeds first (as sent by this tool)
+    for (const embed of message.embeds || []) {
+        const partsField = embed.fields?.find(f => f.name.includes('Part Messages'));
+        if (partsField) {
+            return {
+                url: null,
+                fileName: embed.fields.find(f => f.name.includes('Filename'))?.value.replace(/`/g, '') || 'latest_backup.zip',
+                sha256: embed.fields.find(f => f.name.includes('SHA-256'))?.value.replace(/`/g, '').trim() || null,
+                size: Number(embed.fields.find(f => f.name.includes('Size'))?.value.match(/\((\d+) bytes\)/)?.[1] || 0),
+                saveName: embed.fields.find(f => f.name.includes('Local Save'))?.value.replace(/`/g, '') || null,
+                timestamp: message.timestamp,
+                messageId: message.id,
+                parts: partsField.value.split(',').map(id => id.trim())
+            };
         }
-    } catch (error) {
-        console.error('Error sending Discord notification:', error.message);
+
+        const downloadField = embed.fields?.find(f => f.name.includes('Download Link'));
+        // Jump links point at an attachment backup's index message, which is listed on its own
+        if (downloadField && downloadField.value && !downloadField.value.startsWith('https://discord.com/channels/')) {
+            // Extract URL from the field value (it might be wrapped in markdown)
+            const urlMatch = downloadField.value.match(/https?:\/\/[^\s]+ /);
+            const url = urlMatch ? urlMatch[0].trim() : downloadField.value.trim();
+            return {
+                url,
+                fileName: embed.fields?.find(f => f.name.includes('Filename'))?.value.replace(/`/g, '') || 'latest_backup.zip',
+                sha256: embed.fields?.find(f => f.name.includes('SHA-256'))?.value.replace(/`/g, '').trim() || null,
+                timestamp: message.timestamp,
+                messageId: message.id
+            };
+        }
+    }
+
+    // Fallback: check message content if no embeds match
+    const contentMatch = message.content?.match(/https?:\/\/[^\s]+ /);
+    if (contentMatch) {
+        return {
+            url: contentMatch[0].trim(),
+            fileName: 'latest_backup.zip',
+            sha256: null,
+            timestamp: message.timestamp,
+            messageId: message.id
+        };
+    }
+    return null;
+}
+
+/**
+ * One page of the channel history, newest first: the messages before `before` or, with
+ * `after`, the oldest ones posted after it.
+ */
+async function fetchMessages(botToken, channelId, { before = null, after = null } = {}) {
+    const params = new URLSearchParams({ limit: String(HISTORY_PAGE_SIZE) });
+    if (before) params.set('before', before);
+    if (after) params.set('after', after);
+
+    const response = await discordFetch(`${DISCORD_API}/channels/${channelId}/messages?${params}`, {
+        headers: botHeaders(botToken)
+    });
+
+    if (!response.ok) {
+        throw new Error(`Failed to fetch messages: ${response.status} ${await response.text()}`);
     }
+    return await response.json();
 }
 
-export async function getLatestBackupUrl(botToken, channelId) {
+/**
+ * Walks the channel history backwards from `before` (a message id, newest when null) and
+ * returns up to `count` backups accepted by `filter` (all when null), newest first.
+ * `cursor` is where the next (older) page starts, or null once the history is exhausted;
+ * `newestId` is the newest message seen, whether it was a backup or not.
+ */
+export async function getBackupHistory(botToken, channelId, { before = null, count = 10, filter = null } = {}) {
     if (!botToken || !channelId) {
         throw new Error('Discord Bot Token and Channel ID are required for downloading.');
     }
 
-    try {
-        const response = await fetch(`https://discord.com/api/v10/channels/${channelId}/messages?limit=50`, {
-            headers: {
-                'Authorization': `Bot ${botToken}`,
-                'Content-Type': 'application/json'
+    const backups = [];
+    let cursor = before;
+    let newestId = null;
+    for (let page = 0; page < MAX_PAGES_PER_SEARCH; page++) {
+        const messages = await fetchMessages(botToken, channelId, { before: cursor });
+        newestId ??= messages[0]?.id || null;
+        for (let i = 0; i < messages.length; i++) {
+            const backup = parseBackupMessage(messages[i]);
+            if (!backup || (filter && !filter(backup))) continue;
+            backups.push(backup);
+            if (backups.length === count) {
+                // Resume right after this message; stopping mid-page doesn't skip anything
+                const more = i < messages.length - 1 || messages.length === HISTORY_PAGE_SIZE;
+                return { backups, cursor: more ? messages[i].id : null, newestId };
             }
+        }
+        if (messages.length < HISTORY_PAGE_SIZE) return { backups, cursor: null, newestId };
+        cursor = messages[messages.length - 1].id;
+    }
+    return { backups, cursor, newestId };
+}
+
+// --- Discord as a storage backend ---
+// A backup is posted as one message per part (each carrying a single attachment), followed by
+// an index message whose embed lists the part messages in order.
+
+/**
+ * Fetches the parts of an attachment backup in order and writes them to `destinationPath`.
+ * Messages are re-fetched because Discord's attachment URLs are signed and expire.
+ */
+export async function downloadAttachmentBackup(botToken, channelId, backup, destinationPath) {
+    if (!botToken || !channelId) {
+        throw new Error('Discord Bot Token and Channel ID are required for downloading.');
+    }
+    const output = await fs.open(destinationPath, 'w');
+    try {
+        for (const [index, messageId] of backup.parts.entries()) {
+            const response = await discordFetch(`${DISCORD_API}/channels/${channelId}/messages/${messageId}`, { headers: botHeaders(botToken) });
+            if (!response.ok) throw new Error(`Part ${index + 1} of ${backup.fileName} is missing (${response.status}).`);
+            const attachment = (await response.json()).attachments?.[0];
+            if (!attachment) throw new Error(`Part ${index + 1} of ${backup.fileName} has no attachment.`);
+
+            console.log(`📥 Downloading part ${index + 1}/${backup.parts.length} of ${backup.fileName}...`);
+            const part = await fetch(attachment.url);
+            if (!part.ok) throw new Error(`Download of part ${index + 1} failed: ${part.status} ${part.statusText}`);
+            await output.write(Buffer.from(await part.arrayBuffer()));
+        }
+        await output.close();
+    } catch (e) {
+        await output.close();
+        await fs.rm(destinationPath, { force: true });
+        throw e;
+    }
+    return destinationPath;
+}
+
+async function postAttachment(webhookUrl, content, fileName, blob) {
+    const response = await discordFetch(`${webhookUrl}?wait=true`, () => {
+        const form = new FormData();
+        form.append('payload_json', JSON.stringify({ content, attachments: [{ id: 0, filename: fileName }] }));
+        form.append('files[0]', blob, fileName);
+        return { method: 'POST', body: form };
+    });
+    if (!response.ok) {
+        throw new Error(`Discord rejected ${fileName}: ${response.status} ${await response.text()}`);
+    }
+    return await response.json();
+}
+
+function requireWebhook(settings) {
+    if (!settings.webhookUrl) {
+        throw new Error('Discord storage has no webhook set. Go to ⚙️ Settings → 🌐 Cloud Service to configure it.');
+    }
+    return settings.webhookUrl.replace(/\/$/, '');
+}
+
+// Attachment backups per channel. The history is scanned once per run; later listings (the
+// duplicate check and retention run on every upload) only fetch the messages posted since.
+// Backups deleted outside this tool stay listed until the next run.
+const listings = new Map(); // channelId -> { backups, newestId }
+
+async function scanListing(settings) {
+    const backups = [];
+    let cursor = null;
+    let newestId = null;
+    do {
+        const page = await getBackupHistory(settings.botToken, settings.channelId, { before: cursor, count: 50 });
+        newestId ??= page.newestId;
+        backups.push(...page.backups.filter(backup => backup.parts));
+        cursor = page.cursor;
+    } while (cursor && backups.length < 200);
+    return { backups, newestId };
+}
+
+async function refreshListing(settings, listing) {
+    let after = listing.newestId || '0';
+    for (;;) {
+        const messages = await fetchMessages(settings.botToken, settings.channelId, { after });
+        if (messages.length === 0) break;
+        // Pages move forward in time, each one newest first
+        listing.backups.unshift(...messages.map(parseBackupMessage).filter(backup => backup?.parts));
+        after = messages[0].id;
+        if (messages.length < HISTORY_PAGE_SIZE) break;
+    }
+    listing.newestId = after;
+}
+
+function toFileEntry(backup) {
+    return {
+        id: backup.messageId,
+        name: backup.fileName,
+        modifiedTime: backup.timestamp,
+        size: backup.size,
+        link: null,
+        sha256: backup.sha256,
+        parts: backup.parts,
+        saveName: backup.saveName || null
+    };
+}
+
+export const discordStorageProvider = {
+    id: 'discord',
+    name: 'Discord Attachments',
+    configKey: 'discordStorage',
+    defaults: { webhookUrl: null, botToken: null, channelId: null, partSizeMB: 9 },
+    prompts: [
+        { key: 'webhookUrl', message: 'Webhook URL to post backups with:', required: true, secret: true },
+        { key: 'botToken', message: 'Bot token (needed to list and restore backups):', type: 'password', secret: true },
+        { key: 'channelId', message: 'ID of the channel the webhook posts to (needed to list and restore):' },
+        {
+            key: 'partSizeMB',
+            message: 'Max attachment size in MB (10 on servers without boosts):',
+            type: 'number',
+            default: 9,
+            validate: (value) => value >= 1 ? true : 'Please enter at least 1 MB.'
+        }
+    ],
+
+    describe(settings) {
+        return settings.webhookUrl ? `Webhook set, ${settings.partSizeMB} MB parts` : 'Not Set';
+    },
+
+    async upload(settings, filePath, fileName, options = {}) {
+        const webhookUrl = requireWebhook(settings);
+        const file = Bun.file(filePath);
+        const partSize = Math.floor(settings.partSizeMB * 1024 * 1024);
+        const partCount = Math.max(1, Math.ceil(file.size / partSize));
+        if (partCount > 999) throw new Error(`${fileName} would need ${partCount} parts, raise the attachment size.`);
+
+        const partIds = [];
+        for (let i = 0; i < partCount; i++) {
+            const suffix = `.part${String(i + 1).padStart(3, '0')}of${String(partCount).padStart(3, '0')}`;
+            console.log(`Uploading ${fileName} to Discord (part ${i + 1}/${partCount})...`);
+            const message = await postAttachment(
+                webhookUrl,
+                `📦 \`${fileName}\` part ${i + 1}/${partCount}`,
+                `${fileName}${suffix}`,
+                file.slice(i * partSize, (i + 1) * partSize)
+            );
+            partIds.push(message.id);
+        }
+
+        const fields = [
+            { name: '📁 Filename', value: `\`${fileName}\``, inline: true },
+            { name: '📏 Size', value: `${(file.size / 1024 / 1024).toFixed(2)} MB (${file.size} bytes)`, inline: true },
+            { name: '🧩 Part Messages', value: partIds.join(', ') }
+        ];
+        if (options.saveName) fields.push({ name: '🌍 Local Save', value: `\`${options.saveName}\``, inline: true });
+        if (options.sha256) fields.push({ name: '🔒 SHA-256', value: `\`${options.sha256}\`` });
+
+        const response = await discordFetch(`${webhookUrl}?wait=true`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                embeds: [{
+                    title: '💾 Factorio Backup Stored on Discord',
+                    description: 'Restore it from the backup manager (📥 Browse Discord Backups).',
+                    color: 0xe67e22,
+                    fields,
+                    timestamp: new Date().toISOString()
+                }]
+            })
         });
+        if (!response.ok) throw new Error(`Discord rejected the backup index: ${response.status} ${await response.text()}`);
+        const index = await response.json();
+
+        return {
+            id: index.id,
+            name: fileName,
+            link: index.guild_id ? `https://discord.com/channels/${index.guild_id}/${index.channel_id}/${index.id}` : null
+        };
+    },
 
-        if (!response.ok) {
-            throw new Error(`Failed to fetch messages: ${response.status} ${await response.text()}`);
+    async list(settings) {
+        if (!settings.botToken || !settings.channelId) {
+            throw new Error('Listing Discord backups needs the bot token and channel ID in the Discord storage settings.');
         }
+        let listing = listings.get(settings.channelId);
+        if (listing) {
+            await refreshListing(settings, listing);
+        } else {
+            listing = await scanListing(settings);
+            listings.set(settings.channelId, listing);
+        }
+        return listing.backups.map(toFileEntry);
+    },
 
-        const messages = await response.json();
-
-        // Search for the latest message with a download link
-        for (const message of messages) {
-            // Check embeds first (as sent by this tool)
-            if (message.embeds && message.embeds.length > 0) {
-                for (const embed of message.embeds) {
-                    const downloadField = embed.fields?.find(f => f.name.includes('Download Link'));
-                    if (downloadField && downloadField.value) {
-                        // Extract URL from the field value (it might be wrapped in markdown)
-                        const urlMatch = downloadField.value.match(/https?:\/\/[^\s]+ /);
-                        const url = urlMatch ? urlMatch[0].trim() : downloadField.value.trim();
-                        return {
-                            url,
-                            fileName: embed.fields?.find(f => f.name.includes('Filename'))?.value.replace(/`/g, '') || 'latest_backup.zip',
-                            timestamp: message.timestamp
-                        };
-                    }
-                }
-            }
+    async download(settings, file, destinationPath) {
+        return await downloadAttachmentBackup(settings.botToken, settings.channelId, { fileName: file.name, parts: file.parts }, destinationPath);
+    },
 
-            // Fallback: check message content if no embeds match
-            const contentMatch = message.content?.match(/https?:\/\/[^\s]+ /);
-            if (contentMatch) {
-                return {
-                    url: contentMatch[0].trim(),
-                    fileName: 'latest_backup.zip',
-                    timestamp: message.timestamp
-                };
+    async delete(settings, file) {
+        const webhookUrl = requireWebhook(settings);
+        // Webhooks may delete the messages they posted themselves
+        for (const messageId of [file.id, ...file.parts]) {
+            const response = await discordFetch(`${webhookUrl}/messages/${messageId}`, { method: 'DELETE' });
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`Could not delete Discord message ${messageId}: ${response.status}`);
             }
         }
+        const listing = listings.get(settings.channelId);
+        if (listing) listing.backups = listing.backups.filter(backup => backup.messageId !== file.id);
+    },
 
-        throw new Error('No backup link found in the last 50 messages.');
-    } catch (error) {
-        console.error('Error fetching latest backup from Discord:', error.message);
-        throw error;
+    async stat(settings, file) {
+        const response = await discordFetch(`${requireWebhook(settings)}/messages/${file.id}`);
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`Discord returned ${response.status} for ${file.name}.`);
+        const backup = parseBackupMessage(await response.json());
+        return backup?.parts ? toFileEntry(backup) : null;
     }
-}
+};
@@ -0,0 +1,73 @@
+// services/email.js
+import nodemailer from 'nodemailer';
+import { messageLines } from '../notification-templates.js';
+
+const SMTP_TIMEOUT = 30000;
+
+function parseRecipients(value) {
+    return (value || '').split(',').map(address => address.trim()).filter(Boolean);
+}
+
+/**
+ * Delivers a plain-text email through the configured SMTP server.
+ */
+export async function sendMail(settings, subject, text) {
+    const recipients = parseRecipients(settings.to);
+    if (!settings.host || !settings.from || recipients.length === 0) {
+        throw new Error('Email notifications need an SMTP host, a sender and at least one recipient.');
+    }
+
+    const transporter = nodemailer.createTransport({
+        host: settings.host,
+        port: settings.port,
+        secure: settings.security === 'tls',          // Implicit TLS
+        requireTLS: settings.security === 'starttls', // Refuse to continue if STARTTLS isn't offered
+        ignoreTLS: settings.security === 'none',
+        auth: settings.username ? { user: settings.username, pass: settings.password || '' } : undefined,
+        connectionTimeout: SMTP_TIMEOUT,
+        greetingTimeout: SMTP_TIMEOUT,
+        socketTimeout: SMTP_TIMEOUT
+    });
+    try {
+        await transporter.sendMail({ from: settings.from, to: recipients, subject, text });
+    } finally {
+        transporter.close();
+    }
+}
+
+/**
+ * Notification channel sending plain-text emails over SMTP.
+ */
+export const emailNotifier = {
+    id: 'email',
+    name: 'Email (SMTP)',
+    defaults: { host: null, port: 587, security: 'starttls', username: null, password: null, from: null, to: null },
+    prompts: [
+        { key: 'host', message: 'SMTP server:', required: true },
+        {
+            key: 'security',
+            message: 'Connection security:',
+            type: 'select',
+            choices: [
+                { name: 'STARTTLS (usually port 587)', value: 'starttls' },
+                { name: 'TLS (usually port 465)', value: 'tls' },
+                { name: 'None (local relays only)', value: 'none' }
+            ],
+            default: 'starttls'
+        },
+        { key: 'port', message: 'SMTP port:', type: 'number', required: true, default: 587 },
+        { key: 'username', message: 'Username (leave empty if the server needs no login):' },
+        { key: 'password', message: 'Password:', type: 'password', secret: true },
+        { key: 'from', message: 'Sender address:', required: true },
+        { key: 'to', message: 'Recipients (comma separated):', required: true }
+    ],
+
+    describe(settings) {
+        return settings.to || 'Not Set';
+    },
+
+    async send(settings, message) {
+        const footer = message.footer ? `\n\n— ${message.footer}` : '';
+        await sendMail(settings, message.title, `${messageLines(message).join('\n')}${footer}\n`);
+    }
+};
@@ -2,9 +2,14 @@ import { google } from 'googleapis';
 import fs from 'fs';
 import path from 'path';
 import http from 'http';
+import { Readable } from 'stream';
+import { select } from '@inquirer/prompts';
+import { toFileProperties, fromFileProperties } from '../save-metadata.js';
+import { registerSecretFile, readSecretJson, writeSecretJson } from '../secret-store.js';
 
 const SCOPES = ['https://www.googleapis.com/auth/drive.file'];
 const TOKEN_PATH = path.join(process.cwd(), 'gdrive-token.json');
+registerSecretFile(TOKEN_PATH);
 
 /**
  * Loads OAuth2 credentials from the credentials.json file.
@@ -48,10 +53,12 @@ export function createOAuth2Client(credentialsPath) {
     // Try to load saved tokens
     if (fs.existsSync(TOKEN_PATH)) {
         try {
-            const tokenContent = fs.readFileSync(TOKEN_PATH, 'utf-8');
-            const tokens = JSON.parse(tokenContent);
-            oauth2Client.setCredentials(tokens);
+            oauth2Client.setCredentials(readSecretJson(TOKEN_PATH));
         } catch (e) {
+            // A token that can't be decrypted is still valid, only the key or passphrase is wrong
+            if (!(e instanceof SyntaxError)) {
+                throw new Error(`Could not read the Google Drive authorization in ${TOKEN_PATH} (kept as is): ${e.message}`);
+            }
             // Ignore corrupted token file, force re-auth
             fs.unlinkSync(TOKEN_PATH);
         }
@@ -118,7 +125,7 @@ export async function authorizeWithLocalServer(credentialsPath) {
                     if (code) {
                         const { tokens } = await oauth2Client.getToken(code);
                         oauth2Client.setCredentials(tokens);
-                        fs.writeFileSync(TOKEN_PATH, JSON.stringify(tokens, null, 2));
+                        writeSecretJson(TOKEN_PATH, tokens);
                         console.log(`✅ Tokens saved to ${TOKEN_PATH}`);
                         
                         const { iconBase64 } = await import('../icon-base64.js');
@@ -184,23 +191,33 @@ export function isAuthorized() {
 }
 
 /**
- * Uploads a file to Google Drive using OAuth2 user credentials.
+ * Returns a Drive API client, failing early if the user hasn't linked an account yet.
  */
-export async function uploadToGoogleDrive(filePath, fileName, credentialsPath, folderId) {
+function getAuthorizedDrive(credentialsPath) {
     const oauth2Client = createOAuth2Client(credentialsPath);
 
     if (!oauth2Client.credentials || !oauth2Client.credentials.refresh_token) {
         throw new Error(
-            'Google Drive not authorized yet. Go to ⚙️ Settings → 🌐 Cloud Service → 🔑 GDrive Credentials → Authorize to link your account.'
+            'Google Drive not authorized yet. Go to ⚙️ Settings → 🌐 Cloud Service → 🔑 Google Drive Settings → Authorize to link your account.'
         );
     }
 
-    const drive = google.drive({ version: 'v3', auth: oauth2Client });
+    return google.drive({ version: 'v3', auth: oauth2Client });
+}
+
+/**
+ * Uploads a file to Google Drive using OAuth2 user credentials.
+ */
+export async function uploadToGoogleDrive(filePath, fileName, credentialsPath, folderId, appProperties = null) {
+    const drive = getAuthorizedDrive(credentialsPath);
 
     const fileMetadata = { name: fileName };
     if (folderId) {
         fileMetadata.parents = [folderId];
     }
+    if (appProperties && Object.keys(appProperties).length > 0) {
+        fileMetadata.appProperties = appProperties;
+    }
 
     const media = {
         mimeType: 'application/zip',
@@ -211,57 +228,49 @@ export async function uploadToGoogleDrive(filePath, fileName, credentialsPath, f
     const res = await drive.files.create({
         resource: fileMetadata,
         media: media,
-        fields: 'id, webViewLink',
+        fields: 'id, name, webViewLink',
         supportsAllDrives: true
     });
 
-    return res.data.webViewLink;
+    return res.data;
 }
 
 /**
  * Lists .zip files from a Google Drive folder, sorted by most recent first.
  */
 export async function listFilesFromGoogleDrive(credentialsPath, folderId) {
-    const oauth2Client = createOAuth2Client(credentialsPath);
-
-    if (!oauth2Client.credentials || !oauth2Client.credentials.refresh_token) {
-        throw new Error(
-            'Google Drive not authorized yet. Go to ⚙️ Settings → 🌐 Cloud Service → 🔑 GDrive Credentials → Authorize to link your account.'
-        );
-    }
-
-    const drive = google.drive({ version: 'v3', auth: oauth2Client });
+    const drive = getAuthorizedDrive(credentialsPath);
 
     let query = "mimeType='application/zip' and trashed=false";
     if (folderId) {
         query += ` and '${folderId}' in parents`;
     }
 
-    const res = await drive.files.list({
-        q: query,
-        fields: 'files(id, name, modifiedTime, size)',
-        orderBy: 'modifiedTime desc',
-        pageSize: 50,
-        supportsAllDrives: true,
-        includeItemsFromAllDrives: true
-    });
+    // Retention and the size budget need every backup, not just the newest page
+    const files = [];
+    let pageToken;
+    do {
+        const res = await drive.files.list({
+            q: query,
+            fields: 'nextPageToken, files(id, name, modifiedTime, size, webViewLink, appProperties, md5Checksum)',
+            orderBy: 'modifiedTime desc',
+            pageSize: 1000,
+            pageToken,
+            supportsAllDrives: true,
+            includeItemsFromAllDrives: true
+        });
+        files.push(...(res.data.files || []));
+        pageToken = res.data.nextPageToken;
+    } while (pageToken);
 
-    return res.data.files || [];
+    return files;
 }
 
 /**
  * Downloads a file from Google Drive by its ID to a local destination path.
  */
 export async function downloadFromGoogleDrive(credentialsPath, fileId, destinationPath) {
-    const oauth2Client = createOAuth2Client(credentialsPath);
-
-    if (!oauth2Client.credentials || !oauth2Client.credentials.refresh_token) {
-        throw new Error(
-            'Google Drive not authorized yet. Go to ⚙️ Settings → 🌐 Cloud Service → 🔑 GDrive Credentials → Authorize to link your account.'
-        );
-    }
-
-    const drive = google.drive({ version: 'v3', auth: oauth2Client });
+    const drive = getAuthorizedDrive(credentialsPath);
 
     const res = await drive.files.get(
         { fileId, alt: 'media', supportsAllDrives: true },
@@ -276,3 +285,203 @@ export async function downloadFromGoogleDrive(credentialsPath, fileId, destinati
             .pipe(dest);
     });
 }
+
+/**
+ * Moves a file to the Drive trash. Trashed files can still be recovered from the Drive UI.
+ */
+export async function deleteFromGoogleDrive(credentialsPath, fileId) {
+    const drive = getAuthorizedDrive(credentialsPath);
+    await drive.files.update({
+        fileId,
+        resource: { trashed: true },
+        supportsAllDrives: true
+    });
+}
+
+/**
+ * Fetches metadata for a single Drive file, or null if it no longer exists.
+ */
+export async function statGoogleDriveFile(credentialsPath, fileId) {
+    const drive = getAuthorizedDrive(credentialsPath);
+    try {
+        const res = await drive.files.get({
+            fileId,
+            fields: 'id, name, modifiedTime, size, webViewLink, appProperties, md5Checksum, trashed',
+            supportsAllDrives: true
+        });
+        return res.data.trashed ? null : res.data;
+    } catch (e) {
+        if (e.code === 404) return null;
+        throw e;
+    }
+}
+
+const REPOSITORY_FOLDER_NAME = 'factorio-backup-repository';
+
+/**
+ * Finds (or creates) the folder holding the incremental repository, next to the regular backups.
+ */
+async function getRepositoryFolderId(drive, folderId) {
+    let query = `mimeType='application/vnd.google-apps.folder' and name='${REPOSITORY_FOLDER_NAME}' and trashed=false`;
+    if (folderId) query += ` and '${folderId}' in parents`;
+    const res = await drive.files.list({ q: query, fields: 'files(id)', supportsAllDrives: true, includeItemsFromAllDrives: true });
+    if (res.data.files?.length) return res.data.files[0].id;
+
+    const created = await drive.files.create({
+        resource: {
+            name: REPOSITORY_FOLDER_NAME,
+            mimeType: 'application/vnd.google-apps.folder',
+            ...(folderId ? { parents: [folderId] } : {})
+        },
+        fields: 'id',
+        supportsAllDrives: true
+    });
+    return created.data.id;
+}
+
+/**
+ * Object store for the incremental repository (see repository.js).
+ */
+async function openDriveRepository(settings) {
+    const drive = getAuthorizedDrive(settings.credentialsPath);
+    const repositoryId = await getRepositoryFolderId(drive, settings.folderId);
+
+    return {
+        async list() {
+            const objects = [];
+            let pageToken;
+            do {
+                const res = await drive.files.list({
+                    q: `'${repositoryId}' in parents and trashed=false`,
+                    fields: 'nextPageToken, files(id, name, size, modifiedTime)',
+                    pageSize: 1000,
+                    pageToken,
+                    supportsAllDrives: true,
+                    includeItemsFromAllDrives: true
+                });
+                objects.push(...(res.data.files || []).map(file => ({ ...file, size: Number(file.size || 0) })));
+                pageToken = res.data.nextPageToken;
+            } while (pageToken);
+            return objects;
+        },
+        async read(object) {
+            const res = await drive.files.get(
+                { fileId: object.id, alt: 'media', supportsAllDrives: true },
+                { responseType: 'arraybuffer' }
+            );
+            return Buffer.from(res.data);
+        },
+        async write(name, data) {
+            const res = await drive.files.create({
+                resource: { name, parents: [repositoryId] },
+                media: { mimeType: 'application/octet-stream', body: Readable.from(data) },
+                fields: 'id, name, size, modifiedTime',
+                supportsAllDrives: true
+            });
+            return { ...res.data, size: Number(res.data.size || data.length) };
+        },
+        async remove(object) {
+            await deleteFromGoogleDrive(settings.credentialsPath, object.id);
+        }
+    };
+}
+
+/**
+ * Storage provider definition consumed by services/storage.js.
+ */
+export const googleDriveProvider = {
+    id: 'google-drive',
+    name: 'Google Drive',
+    configKey: 'googleDrive',
+    defaults: { credentialsPath: './credentials.json', folderId: null },
+    prompts: [
+        {
+            key: 'credentialsPath',
+            message: 'Enter path to OAuth2 credentials.json:',
+            required: true,
+            secret: true,
+            validate: (value) => {
+                const resolved = path.resolve(process.cwd(), value);
+                if (!fs.existsSync(resolved)) {
+                    return `File not found at: ${resolved}\nDownload it from Google Cloud Console → APIs & Services → Credentials → OAuth 2.0 Client ID (Desktop app).`;
+                }
+                return true;
+            }
+        },
+        { key: 'folderId', message: 'Enter Google Drive Folder ID (Leave empty to upload to root):' }
+    ],
+
+    describe(settings) {
+        return settings.credentialsPath || 'Not Set';
+    },
+
+    // Runs after the prompts above: links the user's Google account via OAuth2
+    async configure(settings) {
+        if (isAuthorized()) {
+            console.log('\n✅ Google Drive is already authorized.');
+            const reAuth = await select({
+                message: 'Do you want to re-authorize?',
+                choices: [
+                    { name: 'No, keep current authorization', value: false },
+                    { name: 'Yes, re-authorize', value: true }
+                ]
+            });
+            if (!reAuth) return;
+        }
+
+        try {
+            await authorizeWithLocalServer(settings.credentialsPath);
+            console.log('\n🎉 Google Drive authorized successfully! Your backups will upload to your personal Drive.');
+        } catch (err) {
+            console.error(`\n❌ Authorization failed: ${err.message}`);
+            console.error('Make sure you downloaded "OAuth 2.0 Client ID" (Desktop app) credentials, NOT a Service Account key.');
+        }
+    },
+
+    async upload(settings, filePath, fileName, options = {}) {
+        const appProperties = toFileProperties(options.metadata);
+        if (options.sha256) appProperties.factorioSha256 = options.sha256;
+        // Drive caps a property's key and value at 124 bytes together
+        if (options.saveName && Buffer.byteLength(`factorioSaveName${options.saveName}`) <= 124) {
+            appProperties.factorioSaveName = options.saveName;
+        }
+        const file = await uploadToGoogleDrive(filePath, fileName, settings.credentialsPath, settings.folderId, appProperties);
+        return { id: file.id, name: file.name, link: file.webViewLink };
+    },
+
+    async list(settings) {
+        const files = await listFilesFromGoogleDrive(settings.credentialsPath, settings.folderId);
+        return files.map(normalizeFile);
+    },
+
+    async download(settings, file, destinationPath) {
+        return await downloadFromGoogleDrive(settings.credentialsPath, file.id, destinationPath);
+    },
+
+    async delete(settings, file) {
+        await deleteFromGoogleDrive(settings.credentialsPath, file.id);
+    },
+
+    async openRepository(settings) {
+        return await openDriveRepository(settings);
+    },
+
+    async stat(settings, file) {
+        const data = await statGoogleDriveFile(settings.credentialsPath, file.id);
+        return data ? normalizeFile(data) : null;
+    }
+};
+
+function normalizeFile(file) {
+    return {
+        id: file.id,
+        name: file.name,
+        modifiedTime: file.modifiedTime,
+        size: Number(file.size || 0),
+        link: file.webViewLink || null,
+        metadata: fromFileProperties(file.appProperties),
+        sha256: file.appProperties?.factorioSha256 || null,
+        saveName: file.appProperties?.factorioSaveName || null,
+        md5: file.md5Checksum || null
+    };
+}
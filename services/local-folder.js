@@ -0,0 +1,146 @@
+// services/local-folder.js
+import { promises as fs, existsSync } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { isBackupFileName } from '../encryption.js';
+
+function resolveFolder(settings) {
+    if (!settings.path) {
+        throw new Error('Local folder destination has no path set. Go to ⚙️ Settings → 🌐 Cloud Service to configure it.');
+    }
+    return path.resolve(process.cwd(), settings.path);
+}
+
+// Only plain file names are accepted so a listed entry can never point outside the folder
+function resolveEntry(settings, name) {
+    if (!name || path.basename(name) !== name) {
+        throw new Error(`Invalid backup name: ${name}`);
+    }
+    return path.join(resolveFolder(settings), name);
+}
+
+async function toEntry(folder, name) {
+    const filePath = path.join(folder, name);
+    const stats = await fs.stat(filePath);
+    return {
+        id: name,
+        name,
+        modifiedTime: stats.mtime.toISOString(),
+        size: stats.size,
+        link: pathToFileURL(filePath).href
+    };
+}
+
+/**
+ * Copies a backup into the destination folder. The copy is written under a temporary
+ * name first so a half-written file never shows up in listings (e.g. on a slow NAS).
+ */
+export async function copyToLocalFolder(settings, filePath, fileName) {
+    const folder = resolveFolder(settings);
+    await fs.mkdir(folder, { recursive: true });
+
+    const targetPath = resolveEntry(settings, fileName);
+    const tempPath = `${targetPath}.part`;
+
+    console.log(`Copying ${fileName} to ${folder}...`);
+    try {
+        await fs.copyFile(filePath, tempPath);
+        await fs.rename(tempPath, targetPath);
+    } catch (e) {
+        await fs.rm(tempPath, { force: true });
+        throw e;
+    }
+
+    return await toEntry(folder, fileName);
+}
+
+/**
+ * Lists .zip (and encrypted .zip.enc) backups in the destination folder, sorted by most recent first.
+ */
+export async function listLocalFolder(settings) {
+    const folder = resolveFolder(settings);
+    if (!existsSync(folder)) return [];
+
+    const names = (await fs.readdir(folder)).filter(isBackupFileName);
+    const entries = await Promise.all(names.map(name => toEntry(folder, name)));
+    return entries.sort((a, b) => new Date(b.modifiedTime) - new Date(a.modifiedTime));
+}
+
+/**
+ * Object store for the incremental repository (see repository.js), kept in a `repository`
+ * subfolder so its files never show up as backups.
+ */
+function openLocalRepository(settings) {
+    const folder = path.join(resolveFolder(settings), 'repository');
+    const objectPath = (name) => {
+        if (!name || path.basename(name) !== name) throw new Error(`Invalid repository object: ${name}`);
+        return path.join(folder, name);
+    };
+    const toObject = async (name) => ({ ...await toEntry(folder, name), link: null });
+
+    return {
+        async list() {
+            if (!existsSync(folder)) return [];
+            const names = (await fs.readdir(folder)).filter(name => !name.endsWith('.part'));
+            return await Promise.all(names.map(toObject));
+        },
+        async read(object) {
+            return await fs.readFile(objectPath(object.name));
+        },
+        async write(name, data) {
+            await fs.mkdir(folder, { recursive: true });
+            const tempPath = `${objectPath(name)}.part`;
+            await fs.writeFile(tempPath, data);
+            await fs.rename(tempPath, objectPath(name));
+            return await toObject(name);
+        },
+        async remove(object) {
+            await fs.rm(objectPath(object.name), { force: true });
+        }
+    };
+}
+
+export const localFolderProvider = {
+    id: 'local-folder',
+    name: 'Local Folder / NAS',
+    configKey: 'localFolder',
+    defaults: { path: null },
+    prompts: [
+        {
+            key: 'path',
+            message: 'Enter destination folder (e.g. a mounted NAS share or second disk):',
+            required: true
+        }
+    ],
+
+    describe(settings) {
+        return settings.path || 'Not Set';
+    },
+
+    async upload(settings, filePath, fileName) {
+        return await copyToLocalFolder(settings, filePath, fileName);
+    },
+
+    async list(settings) {
+        return await listLocalFolder(settings);
+    },
+
+    async download(settings, file, destinationPath) {
+        await fs.copyFile(resolveEntry(settings, file.name), destinationPath);
+        return destinationPath;
+    },
+
+    async delete(settings, file) {
+        await fs.unlink(resolveEntry(settings, file.name));
+    },
+
+    async openRepository(settings) {
+        return openLocalRepository(settings);
+    },
+
+    async stat(settings, file) {
+        const folder = resolveFolder(settings);
+        if (!existsSync(resolveEntry(settings, file.name))) return null;
+        return await toEntry(folder, file.name);
+    }
+};
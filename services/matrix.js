@@ -0,0 +1,50 @@
+// services/matrix.js
+import crypto from 'crypto';
+import { messageLines } from '../notification-templates.js';
+
+const SEND_TIMEOUT = 30000;
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Notification channel sending room messages through the Matrix client-server API,
+ * as the (bot) account the access token belongs to.
+ */
+export const matrixNotifier = {
+    id: 'matrix',
+    name: 'Matrix',
+    defaults: { homeserverUrl: 'https://matrix.org', accessToken: null, roomId: null },
+    prompts: [
+        { key: 'homeserverUrl', message: 'Homeserver URL:', required: true, default: 'https://matrix.org' },
+        { key: 'accessToken', message: 'Access token of the posting account:', type: 'password', required: true, secret: true },
+        { key: 'roomId', message: 'Room ID (e.g. !abc123:matrix.org, the account must have joined it):', required: true }
+    ],
+
+    describe(settings) {
+        return settings.roomId || 'Not Set';
+    },
+
+    async send(settings, message) {
+        const title = message.title;
+        const lines = messageLines(message);
+        const base = settings.homeserverUrl.replace(/\/$/, '');
+        const url = `${base}/_matrix/client/v3/rooms/${encodeURIComponent(settings.roomId)}/send/m.room.message/${crypto.randomUUID()}`;
+        const response = await fetch(url, {
+            signal: AbortSignal.timeout(SEND_TIMEOUT),
+            method: 'PUT',
+            headers: {
+                'Authorization': `Bearer ${settings.accessToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                msgtype: 'm.text',
+                body: `${title}\n${lines.join('\n')}`,
+                format: 'org.matrix.custom.html',
+                formatted_body: `<b>${escapeHtml(title)}</b><br>${lines.map(escapeHtml).join('<br>')}`
+            })
+        });
+        if (!response.ok) throw new Error(`${response.status} ${await response.text()}`);
+    }
+};
@@ -0,0 +1,101 @@
+// services/notifications.js
+import crypto from 'crypto';
+import { discordNotifier } from './discord.js';
+import { slackNotifier } from './slack.js';
+import { matrixNotifier } from './matrix.js';
+import { ntfyNotifier } from './ntfy.js';
+import { webhookNotifier } from './webhook.js';
+import { emailNotifier } from './email.js';
+import { DEFAULT_EVENTS, DEFAULT_DISCORD_EVENTS } from '../notification-events.js';
+import { renderMessage } from '../notification-templates.js';
+
+/**
+ * Registry of notification channel types.
+ *
+ * A notifier is a plain object with:
+ *   id, name          - value stored in a channel's `type` and its display name
+ *   defaults          - initial settings of a new channel
+ *   prompts           - same format as storage provider prompts (see storage.js)
+ *   describe?(settings) - short summary shown in the settings menu
+ *   send(settings, message, event) - delivers an event rendered with its template (see
+ *                     notification-templates.js), throws on failure; gives up after a
+ *                     timeout, since channels are notified one after another
+ *
+ * Channels live in `config.notifications.channels` as { id, type, name, events, settings },
+ * so several channels of the same type (e.g. two email lists) can coexist.
+ */
+const notifiers = new Map();
+
+export function registerNotifier(notifier) {
+    if (!notifier?.id) throw new Error('Notifier must have an id.');
+    notifiers.set(notifier.id, notifier);
+}
+
+export function getNotifier(id) {
+    return notifiers.get(id) || null;
+}
+
+export function listNotifiers() {
+    return [...notifiers.values()];
+}
+
+// The original Discord webhook keeps its own setting and event filter
+export const PRIMARY_DISCORD_CHANNEL = 'discord-webhook';
+
+/**
+ * Every channel that can receive notifications: the Discord webhook from the Discord
+ * section (when set) followed by the channels added under Notification Channels.
+ */
+export function getNotificationChannels(config) {
+    const channels = [];
+    if (config.discordWebhook) {
+        channels.push({
+            id: PRIMARY_DISCORD_CHANNEL,
+            type: 'discord',
+            name: 'Discord Webhook',
+            events: config.notifications?.discordEvents || DEFAULT_DISCORD_EVENTS,
+            settings: { webhookUrl: config.discordWebhook }
+        });
+    }
+    return [...channels, ...(config.notifications?.channels || [])];
+}
+
+export function createChannel(notifier) {
+    return {
+        id: crypto.randomUUID().split('-')[0],
+        type: notifier.id,
+        name: notifier.name,
+        events: [...DEFAULT_EVENTS],
+        settings: { ...notifier.defaults }
+    };
+}
+
+/**
+ * Sends an event to every channel subscribed to it. A failing channel never stops the
+ * others (or the backup); the outcome of each is returned as { channel, ok, error? }.
+ */
+export async function notify(config, event, { onlyChannel = null } = {}) {
+    const outcomes = [];
+    const message = renderMessage(event, config.notificationTemplates);
+    for (const channel of getNotificationChannels(config)) {
+        if (onlyChannel ? channel.id !== onlyChannel : !channel.events?.includes(event.type)) continue;
+        const notifier = getNotifier(channel.type);
+        if (!notifier) continue;
+        try {
+            await notifier.send(channel.settings, message, event);
+            console.log(`✅ ${channel.name} notification sent!`);
+            outcomes.push({ channel, ok: true });
+        } catch (error) {
+            console.error(`⚠️  ${channel.name} notification failed:`, error.message);
+            outcomes.push({ channel, ok: false, error: error.message });
+        }
+    }
+    return outcomes;
+}
+
+registerNotifier(discordNotifier);
+registerNotifier(slackNotifier);
+registerNotifier(matrixNotifier);
+registerNotifier(ntfyNotifier);
+registerNotifier(webhookNotifier);
+registerNotifier(emailNotifier);
@@ -0,0 +1,52 @@
+// services/ntfy.js
+import { messageLines } from '../notification-templates.js';
+
+const SEND_TIMEOUT = 30000;
+
+const EVENT_STYLE = {
+    'success': { tags: ['white_check_mark'], priority: 3 },
+    'failure': { tags: ['rotating_light'], priority: 5 },
+    'sync-download': { tags: ['inbox_tray'], priority: 3 },
+    'conflict': { tags: ['warning'], priority: 4 },
+    'stale': { tags: ['alarm_clock'], priority: 4 },
+    'recovered': { tags: ['white_check_mark'], priority: 3 }
+};
+
+/**
+ * Notification channel publishing push notifications to an ntfy topic (ntfy.sh or self-hosted).
+ */
+export const ntfyNotifier = {
+    id: 'ntfy',
+    name: 'ntfy',
+    defaults: { serverUrl: 'https://ntfy.sh', topic: null, accessToken: null },
+    prompts: [
+        { key: 'serverUrl', message: 'ntfy server URL:', required: true, default: 'https://ntfy.sh' },
+        { key: 'topic', message: 'Topic:', required: true },
+        { key: 'accessToken', message: 'Access token (only for protected topics):', type: 'password', secret: true }
+    ],
+
+    describe(settings) {
+        return settings.topic || 'Not Set';
+    },
+
+    async send(settings, message, event) {
+        const style = EVENT_STYLE[event.type] || { tags: ['floppy_disk'], priority: 3 };
+        // JSON publishing keeps emoji and other non-ASCII text out of HTTP headers
+        const response = await fetch(settings.serverUrl.replace(/\/$/, ''), {
+            signal: AbortSignal.timeout(SEND_TIMEOUT),
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(settings.accessToken ? { 'Authorization': `Bearer ${settings.accessToken}` } : {})
+            },
+            body: JSON.stringify({
+                topic: settings.topic,
+                title: message.title,
+                message: messageLines(message).join('\n'),
+                ...style,
+                ...(event.link?.startsWith('http') ? { click: event.link } : {})
+            })
+        });
+        if (!response.ok) throw new Error(`${response.status} ${await response.text()}`);
+    }
+};
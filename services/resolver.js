@@ -1,23 +1,98 @@
 // services/resolver.js
+import { isEncryptedBuffer } from '../encryption.js';
+
+/**
+ * Registry of host resolvers that turn sharing links (landing pages) into direct download links.
+ *
+ * A resolver is a plain object with:
+ *   id, name          - identifier and display name
+ *   matches(url)      - true if the resolver handles this URL (a URL object)
+ *   resolve(url, context) -> direct download URL (a string); returns `url` unchanged when it
+ *                        can't do better. context.discordBotToken is set when configured.
+ *   hint?             - shown when the resolved link still leads to an HTML page
+ */
+const resolvers = [];
+
+export function registerResolver(resolver) {
+    if (!resolver?.id) throw new Error('Resolver must have an id.');
+    resolvers.push(resolver);
+}
+
+export function listResolvers() {
+    return [...resolvers];
+}
+
+/**
+ * The resolver handling `url`, or null for links that are used as they are.
+ */
+export function findResolver(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return null;
+    }
+    return resolvers.find(resolver => resolver.matches(parsed)) || null;
+}
 
 /**
  * Resolves a sharing link into a direct download link.
  * @param {string} url The sharing URL from Discord.
+ * @param {object} [context] Credentials some hosts need, e.g. { discordBotToken }.
  * @returns {Promise<string>} The direct download URL.
  */
-export async function resolveDirectLink(url) {
+export async function resolveDirectLink(url, context = {}) {
     console.log(`Resolving direct link for: ${url}`);
 
-    if (url.includes('buzzheavier.com')) {
-        return await resolveBuzzheavier(url);
-    }
+    const resolver = findResolver(url);
+    // Default: return the original URL if no resolver is known
+    if (!resolver) return url;
+    return await resolver.resolve(url, context);
+}
 
-    if (url.includes('rootz.so')) {
-        return await resolveRootz(url);
+/**
+ * Reads at most `length` bytes of a response body and cancels the rest, so a host that
+ * ignores the Range header never gets the whole backup buffered.
+ */
+async function readHead(response, length) {
+    if (!response.body) return Buffer.alloc(0);
+    const reader = response.body.getReader();
+    const chunks = [];
+    let received = 0;
+    try {
+        while (received < length) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            received += value.length;
+        }
+    } finally {
+        await reader.cancel().catch(() => {});
     }
+    return Buffer.concat(chunks).subarray(0, length);
+}
 
-    // Default: return the original URL if no resolver is known
-    return url;
+/**
+ * Resolves a link and fetches its first bytes to check that it really serves a backup.
+ * Returns { resolver, directUrl, ok, status, contentType, size, kind } where kind is
+ * 'zip', 'encrypted', 'html' or 'unknown'.
+ */
+export async function testDownloadLink(url, context = {}) {
+    const resolver = findResolver(url);
+    const directUrl = await resolveDirectLink(url, context);
+    const response = await fetch(directUrl, { headers: { 'Range': 'bytes=0-1023' } });
+    const contentType = response.headers.get('content-type') || '';
+    // A ranged answer reports the full size after the slash
+    const range = response.headers.get('content-range')?.match(/\/(\d+)$/);
+    const size = range ? Number(range[1]) : Number(response.headers.get('content-length')) || null;
+    const head = await readHead(response, 1024);
+
+    let kind = 'unknown';
+    if (head.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))) kind = 'zip';
+    else if (isEncryptedBuffer(head)) kind = 'encrypted';
+    else if (contentType.includes('text/html') || /^\s*<(!doctype|html)/i.test(head.toString('utf-8'))) kind = 'html';
+
+    return { resolver, directUrl, ok: response.ok, status: response.status, contentType, size, kind };
 }
 
 async function resolveBuzzheavier(url) {
@@ -94,3 +169,102 @@ async function resolveRootz(url) {
         return url;
     }
 }
+
+/**
+ * Drive view links (`/file/d/{id}/view`, `open?id=`, `uc?id=`) point at a preview page. The
+ * usercontent endpoint serves the file itself; `confirm=t` skips the virus-scan page of large files.
+ */
+function resolveGoogleDrive(url) {
+    const urlObj = new URL(url);
+    const id = urlObj.pathname.match(/\/file\/d\/([\w-]+)/)?.[1] || urlObj.searchParams.get('id');
+    if (!id) {
+        console.warn('Could not extract the file ID from the Google Drive link.');
+        return url;
+    }
+    const directUrl = `https://drive.usercontent.google.com/download?id=${id}&export=download&confirm=t`;
+    console.log(`Resolved Google Drive direct link: ${directUrl}`);
+    return directUrl;
+}
+
+/**
+ * Dropbox share links show a preview unless `dl=1` is set. Newer `/scl/fi/` links also need
+ * their `rlkey`, which is kept.
+ */
+function resolveDropbox(url) {
+    const urlObj = new URL(url);
+    urlObj.searchParams.delete('raw');
+    urlObj.searchParams.set('dl', '1');
+    return urlObj.href;
+}
+
+/**
+ * Discord attachment URLs are signed and expire (`ex` is the expiry as a hex timestamp).
+ * Expired links are re-signed through the API when a bot token is configured.
+ */
+async function resolveDiscordAttachment(url, context) {
+    const urlObj = new URL(url);
+    // media.discordapp.net serves resized previews of the same path
+    urlObj.hostname = 'cdn.discordapp.com';
+    const expiresAt = parseInt(urlObj.searchParams.get('ex') || '', 16) * 1000;
+    if (!expiresAt || expiresAt > Date.now() + 60 * 1000) return urlObj.href;
+
+    if (!context.discordBotToken) {
+        console.warn('This Discord attachment link has expired. Configure the Download Bot so it can be refreshed.');
+        return urlObj.href;
+    }
+    try {
+        const response = await fetch('https://discord.com/api/v10/attachments/refresh-urls', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bot ${context.discordBotToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ attachment_urls: [urlObj.href] })
+        });
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        const refreshed = (await response.json()).refreshed_urls?.[0]?.refreshed;
+        if (refreshed) {
+            console.log('Refreshed the expired Discord attachment link.');
+            return refreshed;
+        }
+    } catch (error) {
+        console.error('Error refreshing Discord attachment link:', error.message);
+    }
+    return urlObj.href;
+}
+
+registerResolver({
+    id: 'buzzheavier',
+    name: 'Buzzheavier',
+    matches: (url) => url.hostname.endsWith('buzzheavier.com'),
+    resolve: resolveBuzzheavier
+});
+
+registerResolver({
+    id: 'rootz',
+    name: 'Rootz',
+    matches: (url) => url.hostname.endsWith('rootz.so'),
+    resolve: resolveRootz
+});
+
+registerResolver({
+    id: 'google-drive',
+    name: 'Google Drive',
+    matches: (url) => ['drive.google.com', 'docs.google.com'].includes(url.hostname),
+    resolve: async (url) => resolveGoogleDrive(url),
+    hint: 'Google Drive only serves files shared as "Anyone with the link". Share the backup (or its folder) in Drive, or restore it through the Google Drive destination instead.'
+});
+
+registerResolver({
+    id: 'dropbox',
+    name: 'Dropbox',
+    matches: (url) => ['www.dropbox.com', 'dropbox.com'].includes(url.hostname),
+    resolve: async (url) => resolveDropbox(url)
+});
+
+registerResolver({
+    id: 'discord-cdn',
+    name: 'Discord Attachment',
+    matches: (url) => ['cdn.discordapp.com', 'media.discordapp.net'].includes(url.hostname) && url.pathname.startsWith('/attachments/'),
+    resolve: resolveDiscordAttachment
+});
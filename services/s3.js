@@ -0,0 +1,155 @@
+// services/s3.js
+// Works with any S3-compatible API (AWS, Backblaze B2, Wasabi, MinIO) through Bun's built-in client.
+import { isBackupFileName } from '../encryption.js';
+
+const MIN_PART_SIZE_MB = 5; // S3 rejects multipart parts smaller than 5 MiB (except the last one)
+const MAX_PRESIGN_HOURS = 168; // SigV4 presigned URLs are capped at 7 days
+
+function createClient(settings) {
+    if (!settings.bucket || !settings.accessKeyId || !settings.secretAccessKey) {
+        throw new Error('S3 bucket and access keys are required. Go to ⚙️ Settings → 🌐 Cloud Service → 🔑 S3 Settings.');
+    }
+    return new Bun.S3Client({
+        bucket: settings.bucket,
+        endpoint: settings.endpoint || undefined,
+        region: settings.region || undefined,
+        accessKeyId: settings.accessKeyId,
+        secretAccessKey: settings.secretAccessKey
+    });
+}
+
+function normalizePrefix(prefix) {
+    if (!prefix) return '';
+    return prefix.replace(/^\/+/, '').replace(/\/*$/, '/');
+}
+
+function objectKey(settings, fileName) {
+    return normalizePrefix(settings.prefix) + fileName;
+}
+
+function presign(client, settings, key) {
+    const hours = Math.min(settings.linkExpiryHours || MAX_PRESIGN_HOURS, MAX_PRESIGN_HOURS);
+    return client.presign(key, { method: 'GET', expiresIn: Math.round(hours * 3600) });
+}
+
+function toEntry(client, settings, object) {
+    return {
+        id: object.key,
+        name: object.key.substring(normalizePrefix(settings.prefix).length),
+        modifiedTime: new Date(object.lastModified).toISOString(),
+        size: object.size,
+        link: presign(client, settings, object.key)
+    };
+}
+
+/**
+ * Uploads a file with a multipart upload and returns a presigned download link.
+ */
+export async function uploadToS3(settings, filePath, fileName) {
+    const client = createClient(settings);
+    const key = objectKey(settings, fileName);
+    const partSize = Math.max(settings.partSizeMB || MIN_PART_SIZE_MB, MIN_PART_SIZE_MB) * 1024 * 1024;
+
+    console.log(`Uploading ${fileName} to s3://${settings.bucket}/${key}...`);
+    const writer = client.file(key).writer({
+        type: 'application/zip',
+        partSize,
+        queueSize: 4,
+        retry: 3
+    });
+
+    for await (const chunk of Bun.file(filePath).stream()) {
+        await writer.write(chunk);
+    }
+    await writer.end();
+
+    return { id: key, name: fileName, link: presign(client, settings, key) };
+}
+
+/**
+ * Lists .zip (and encrypted .zip.enc) objects under the configured prefix, sorted by most recent first.
+ */
+export async function listFromS3(settings) {
+    const client = createClient(settings);
+    const prefix = normalizePrefix(settings.prefix);
+    const objects = [];
+
+    let continuationToken;
+    do {
+        const res = await client.list({ prefix, continuationToken, maxKeys: 1000 });
+        objects.push(...(res.contents || []));
+        continuationToken = res.isTruncated ? res.nextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects
+        .filter(object => isBackupFileName(object.key) && !object.key.substring(prefix.length).includes('/'))
+        .map(object => toEntry(client, settings, object))
+        .sort((a, b) => new Date(b.modifiedTime) - new Date(a.modifiedTime));
+}
+
+export const s3Provider = {
+    id: 's3',
+    name: 'S3',
+    configKey: 's3',
+    defaults: {
+        endpoint: null,
+        region: null,
+        bucket: null,
+        prefix: 'factorio/',
+        accessKeyId: null,
+        secretAccessKey: null,
+        partSizeMB: 16,
+        linkExpiryHours: MAX_PRESIGN_HOURS
+    },
+    prompts: [
+        { key: 'endpoint', message: 'Endpoint URL (Leave empty for AWS, e.g. https://minio.example.com):' },
+        { key: 'region', message: 'Region (Leave empty for the provider default):' },
+        { key: 'bucket', message: 'Bucket name:', required: true },
+        { key: 'prefix', message: 'Key prefix (folder inside the bucket, leave empty for root):' },
+        { key: 'accessKeyId', message: 'Access Key ID:', required: true, secret: true },
+        { key: 'secretAccessKey', message: 'Secret Access Key:', type: 'password', required: true, secret: true },
+        {
+            key: 'partSizeMB',
+            message: 'Multipart part size (MB):',
+            type: 'number',
+            validate: (value) => value >= MIN_PART_SIZE_MB ? true : `Part size must be at least ${MIN_PART_SIZE_MB} MB.`
+        },
+        {
+            key: 'linkExpiryHours',
+            message: 'Presigned link lifetime (hours):',
+            type: 'number',
+            validate: (value) => (value > 0 && value <= MAX_PRESIGN_HOURS) ? true : `Enter a value between 1 and ${MAX_PRESIGN_HOURS}.`
+        }
+    ],
+
+    describe(settings) {
+        return settings.bucket ? `s3://${settings.bucket}/${normalizePrefix(settings.prefix)}` : 'Not Set';
+    },
+
+    async upload(settings, filePath, fileName) {
+        return await uploadToS3(settings, filePath, fileName);
+    },
+
+    async list(settings) {
+        return await listFromS3(settings);
+    },
+
+    async download(settings, file, destinationPath) {
+        const client = createClient(settings);
+        await Bun.write(destinationPath, client.file(file.id));
+        return destinationPath;
+    },
+
+    async delete(settings, file) {
+        const client = createClient(settings);
+        await client.delete(file.id);
+    },
+
+    async stat(settings, file) {
+        const client = createClient(settings);
+        const s3file = client.file(file.id);
+        if (!(await s3file.exists())) return null;
+        const stats = await s3file.stat();
+        return toEntry(client, settings, { key: file.id, lastModified: stats.lastModified, size: stats.size });
+    }
+};
@@ -0,0 +1,139 @@
+// services/sftp.js
+import SftpClient from 'ssh2-sftp-client';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { isBackupFileName } from '../encryption.js';
+
+function remotePath(settings, fileName) {
+    return path.posix.join(settings.remoteDir || '.', fileName);
+}
+
+/**
+ * Opens an SFTP session, runs `fn` with it and always closes the connection afterwards.
+ */
+async function withClient(settings, fn) {
+    if (!settings.host || !settings.username) {
+        throw new Error('SFTP host and username are required. Go to ⚙️ Settings → 🌐 Cloud Service → 🔑 SFTP Settings.');
+    }
+
+    const options = {
+        host: settings.host,
+        port: settings.port || 22,
+        username: settings.username,
+        readyTimeout: 20000
+    };
+    if (settings.keyFile) {
+        options.privateKey = await fs.readFile(path.resolve(process.cwd(), settings.keyFile));
+        if (settings.passphrase) options.passphrase = settings.passphrase;
+    } else {
+        options.password = settings.password;
+    }
+
+    const sftp = new SftpClient();
+    await sftp.connect(options);
+    try {
+        return await fn(sftp);
+    } finally {
+        await sftp.end();
+    }
+}
+
+function toEntry(settings, name, size, modifyTime) {
+    const port = settings.port && settings.port !== 22 ? `:${settings.port}` : '';
+    return {
+        id: name,
+        name,
+        modifiedTime: new Date(modifyTime).toISOString(),
+        size,
+        link: `sftp://${settings.username}@${settings.host}${port}/${remotePath(settings, name).replace(/^\//, '')}`
+    };
+}
+
+/**
+ * Uploads under a temporary name and renames it into place once complete,
+ * so the backup host never sees a half-written save.
+ */
+export async function uploadToSftp(settings, filePath, fileName) {
+    return await withClient(settings, async (sftp) => {
+        const target = remotePath(settings, fileName);
+        const temp = remotePath(settings, `.${fileName}.part`);
+
+        await sftp.mkdir(settings.remoteDir || '.', true);
+
+        console.log(`Uploading ${fileName} to ${settings.host}...`);
+        try {
+            await sftp.fastPut(filePath, temp);
+            try {
+                // posix-rename overwrites atomically; plain SFTP rename fails if the target exists
+                await sftp.posixRename(temp, target);
+            } catch (e) {
+                await sftp.rename(temp, target);
+            }
+        } catch (e) {
+            await sftp.delete(temp, true);
+            throw e;
+        }
+
+        const stats = await sftp.stat(target);
+        return toEntry(settings, fileName, stats.size, stats.modifyTime);
+    });
+}
+
+/**
+ * Lists .zip (and encrypted .zip.enc) files in the remote directory, sorted by most recent first.
+ */
+export async function listFromSftp(settings) {
+    return await withClient(settings, async (sftp) => {
+        if (!(await sftp.exists(settings.remoteDir || '.'))) return [];
+        const files = await sftp.list(settings.remoteDir || '.', item => item.type === '-' && isBackupFileName(item.name));
+        return files
+            .map(item => toEntry(settings, item.name, item.size, item.modifyTime))
+            .sort((a, b) => new Date(b.modifiedTime) - new Date(a.modifiedTime));
+    });
+}
+
+export const sftpProvider = {
+    id: 'sftp',
+    name: 'SFTP',
+    configKey: 'sftp',
+    defaults: { host: null, port: 22, username: null, keyFile: null, passphrase: null, password: null, remoteDir: 'factorio-backups' },
+    prompts: [
+        { key: 'host', message: 'SFTP host:', required: true },
+        { key: 'port', message: 'Port:', type: 'number' },
+        { key: 'username', message: 'Username:', required: true },
+        { key: 'keyFile', message: 'Private key file (Leave empty to use a password):' },
+        { key: 'passphrase', message: 'Key passphrase (only if the key is encrypted):', type: 'password', secret: true },
+        { key: 'password', message: 'Password (ignored when a key file is set):', type: 'password', secret: true },
+        { key: 'remoteDir', message: 'Remote directory:', required: true }
+    ],
+
+    describe(settings) {
+        return settings.host ? `${settings.username}@${settings.host}:${settings.remoteDir}` : 'Not Set';
+    },
+
+    async upload(settings, filePath, fileName) {
+        return await uploadToSftp(settings, filePath, fileName);
+    },
+
+    async list(settings) {
+        return await listFromSftp(settings);
+    },
+
+    async download(settings, file, destinationPath) {
+        await withClient(settings, sftp => sftp.fastGet(remotePath(settings, file.name), destinationPath));
+        return destinationPath;
+    },
+
+    async delete(settings, file) {
+        await withClient(settings, sftp => sftp.delete(remotePath(settings, file.name)));
+    },
+
+    async stat(settings, file) {
+        return await withClient(settings, async (sftp) => {
+            const target = remotePath(settings, file.name);
+            if (!(await sftp.exists(target))) return null;
+            const stats = await sftp.stat(target);
+            return toEntry(settings, file.name, stats.size, stats.modifyTime);
+        });
+    }
+};
@@ -0,0 +1,26 @@
+// services/slack.js
+import { messageLines } from '../notification-templates.js';
+
+const SEND_TIMEOUT = 30000;
+
+/**
+ * Notification channel posting to a Slack incoming webhook.
+ */
+export const slackNotifier = {
+    id: 'slack',
+    name: 'Slack',
+    defaults: { webhookUrl: null },
+    prompts: [
+        { key: 'webhookUrl', message: 'Slack incoming webhook URL:', required: true, secret: true }
+    ],
+
+    async send(settings, message) {
+        const response = await fetch(settings.webhookUrl, {
+            signal: AbortSignal.timeout(SEND_TIMEOUT),
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text: `*${message.title}*\n${messageLines(message).join('\n')}` })
+        });
+        if (!response.ok) throw new Error(`${response.status} ${await response.text()}`);
+    }
+};
@@ -0,0 +1,90 @@
+// services/storage.js
+import { googleDriveProvider } from './google-drive.js';
+import { localFolderProvider } from './local-folder.js';
+import { s3Provider } from './s3.js';
+import { webDavProvider } from './webdav.js';
+import { sftpProvider } from './sftp.js';
+import { discordStorageProvider } from './discord.js';
+import { createRepositoryProvider } from '../repository.js';
+
+/**
+ * Registry of storage backends.
+ *
+ * A provider is a plain object with:
+ *   id, name       - config value stored in `cloudService` and its display name
+ *   configKey      - key in config.json that holds the provider's settings
+ *   defaults       - initial settings when the provider is first selected
+ *   prompts        - [{ key, message, type?, required?, secret?, default?, choices?, validate? }]
+ *                    asked by the setup wizard; `secret` values are encrypted on save (secret-store.js)
+ *   describe?(settings)           - short summary shown in the setup menu
+ *   configure?(settings)          - extra interactive step after the prompts (e.g. OAuth)
+ *   upload(settings, filePath, fileName, options?)  -> { id, name, link }
+ *                                   options.metadata is the save's metadata, options.sha256 its
+ *                                   checksum and options.saveName the local save it was made from,
+ *                                   for backends that can store them alongside the file (others
+ *                                   ignore them)
+ *   list(settings)                -> [{ id, name, modifiedTime, size, link, metadata?, sha256?, md5?, saveName? }] newest first
+ *                                   md5 is the backend's own content checksum, when it exposes one
+ *   download(settings, file, destinationPath)
+ *   delete(settings, file)
+ *   stat(settings, file)          -> file entry or null if it no longer exists
+ *   openRepository?(settings)     -> object store for incremental backups (see repository.js)
+ */
+const providers = new Map();
+
+export function registerProvider(provider) {
+    if (!provider?.id) throw new Error('Storage provider must have an id.');
+    providers.set(provider.id, provider);
+}
+
+export function getProvider(id) {
+    return providers.get(id) || null;
+}
+
+export function listProviders() {
+    return [...providers.values()];
+}
+
+/**
+ * Returns the settings object for a provider, creating it from defaults if missing.
+ */
+export function getProviderSettings(config, provider) {
+    if (!config[provider.configKey]) {
+        config[provider.configKey] = { ...provider.defaults };
+    }
+    return config[provider.configKey];
+}
+
+/**
+ * Every destination a backup should be uploaded to. The primary `cloudService` always comes
+ * first (it is the one used for restores and startup sync), followed by `config.destinations`.
+ */
+export function getDestinations(config) {
+    const ids = [...new Set([config.cloudService, ...(config.destinations || [])])];
+    return ids
+        .map(id => getProvider(id))
+        .filter(Boolean)
+        .map(provider => ({ provider: resolveProvider(config, provider), settings: getProviderSettings(config, provider) }));
+}
+
+/**
+ * The provider to use for backups: wrapped in the incremental repository format when it is
+ * enabled and the backend supports it, the provider itself otherwise.
+ */
+export function resolveProvider(config, provider) {
+    if (config.incrementalBackups && provider.openRepository) {
+        return createRepositoryProvider(provider, config);
+    }
+    return provider;
+}
+
+export function supportsIncrementalBackups(provider) {
+    return Boolean(provider.openRepository);
+}
+
+registerProvider(googleDriveProvider);
+registerProvider(localFolderProvider);
+registerProvider(s3Provider);
+registerProvider(webDavProvider);
+registerProvider(sftpProvider);
+registerProvider(discordStorageProvider);
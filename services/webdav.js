@@ -0,0 +1,200 @@
+// services/webdav.js
+// Generic WebDAV uploads, plus public share links when the server is Nextcloud/ownCloud.
+import { isBackupFileName } from '../encryption.js';
+
+const PROPFIND_BODY = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:">
+  <d:prop><d:getlastmodified/><d:getcontentlength/><d:resourcetype/></d:prop>
+</d:propfind>`;
+
+function collectionUrl(settings) {
+    if (!settings.url) {
+        throw new Error('WebDAV URL is not set. Go to ⚙️ Settings → 🌐 Cloud Service → 🔑 WebDAV Settings.');
+    }
+    return settings.url.endsWith('/') ? settings.url : `${settings.url}/`;
+}
+
+function fileUrl(settings, fileName) {
+    return new URL(encodeURIComponent(fileName), collectionUrl(settings)).href;
+}
+
+function authHeaders(settings) {
+    if (!settings.username) return {};
+    const token = Buffer.from(`${settings.username}:${settings.password || ''}`).toString('base64');
+    return { 'Authorization': `Basic ${token}` };
+}
+
+async function davRequest(settings, url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: { ...authHeaders(settings), ...options.headers }
+    });
+    if (!response.ok && !options.allowStatus?.includes(response.status)) {
+        throw new Error(`WebDAV ${options.method || 'GET'} failed: ${response.status} ${response.statusText}`);
+    }
+    return response;
+}
+
+/**
+ * Splits a Nextcloud/ownCloud DAV URL into the server root and the path inside the user's files,
+ * e.g. https://cloud.example.com/remote.php/dav/files/alice/Factorio → { baseUrl, path: '/Factorio' }.
+ * Returns null for servers that don't follow that layout.
+ */
+export function parseNextcloudUrl(url) {
+    const parsed = new URL(url);
+    const match = parsed.pathname.match(/^(.*?)\/remote\.php\/(?:dav\/files\/[^/]+|webdav)(\/.*)?$/);
+    if (!match) return null;
+    return {
+        baseUrl: `${parsed.origin}${match[1]}`,
+        path: decodeURIComponent((match[2] || '/').replace(/\/+$/, '')) || '/'
+    };
+}
+
+/**
+ * Creates a public, read-only share link through the Nextcloud OCS Share API
+ * and returns a URL that downloads the file directly.
+ */
+export async function createNextcloudShare(settings, fileName) {
+    const nextcloud = parseNextcloudUrl(collectionUrl(settings));
+    if (!nextcloud) return null;
+
+    const sharePath = `${nextcloud.path === '/' ? '' : nextcloud.path}/${fileName}`;
+    const response = await fetch(`${nextcloud.baseUrl}/ocs/v2.php/apps/files_sharing/api/v1/shares?format=json`, {
+        method: 'POST',
+        headers: {
+            ...authHeaders(settings),
+            'OCS-APIRequest': 'true',
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ path: sharePath, shareType: '3', permissions: '1' })
+    });
+
+    if (!response.ok) {
+        throw new Error(`Nextcloud share failed: ${response.status} ${await response.text()}`);
+    }
+
+    const data = await response.json();
+    const shareUrl = data.ocs?.data?.url;
+    return shareUrl ? `${shareUrl}/download` : null;
+}
+
+function readTag(xml, tag) {
+    const match = xml.match(new RegExp(`<(?:[\\w-]+:)?${tag}\\b[^>]*>([^<]*)<`, 'i'));
+    return match ? match[1] : null;
+}
+
+/**
+ * Parses a PROPFIND multistatus body into file entries, skipping collections.
+ */
+function parseMultistatus(xml, settings) {
+    const responses = xml.match(/<(?:[\w-]+:)?response\b[\s\S]*?<\/(?:[\w-]+:)?response>/gi) || [];
+    const entries = [];
+
+    for (const block of responses) {
+        if (/<(?:[\w-]+:)?collection\b/i.test(block)) continue;
+        const href = readTag(block, 'href');
+        if (!href) continue;
+
+        const name = decodeURIComponent(href.replace(/\/+$/, '').split('/').pop());
+        entries.push({
+            id: name,
+            name,
+            modifiedTime: new Date(readTag(block, 'getlastmodified') || 0).toISOString(),
+            size: Number(readTag(block, 'getcontentlength') || 0),
+            link: fileUrl(settings, name)
+        });
+    }
+    return entries;
+}
+
+export async function uploadToWebDav(settings, filePath, fileName) {
+    // MKCOL answers 405 when the collection already exists
+    await davRequest(settings, collectionUrl(settings), { method: 'MKCOL', allowStatus: [405] });
+
+    console.log(`Uploading ${fileName} to WebDAV...`);
+    const file = Bun.file(filePath);
+    await davRequest(settings, fileUrl(settings, fileName), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/zip', 'Content-Length': String(file.size) },
+        body: file
+    });
+
+    let link = fileUrl(settings, fileName);
+    if (settings.shareLinks) {
+        try {
+            link = await createNextcloudShare(settings, fileName) || link;
+        } catch (e) {
+            console.warn(`Could not create share link: ${e.message}`);
+        }
+    }
+
+    return { id: fileName, name: fileName, link };
+}
+
+/**
+ * Lists .zip (and encrypted .zip.enc) files in the configured collection, sorted by most recent first.
+ */
+export async function listFromWebDav(settings) {
+    const response = await davRequest(settings, collectionUrl(settings), {
+        method: 'PROPFIND',
+        headers: { 'Depth': '1', 'Content-Type': 'application/xml' },
+        body: PROPFIND_BODY,
+        allowStatus: [404]
+    });
+    if (response.status === 404) return [];
+
+    return parseMultistatus(await response.text(), settings)
+        .filter(entry => isBackupFileName(entry.name))
+        .sort((a, b) => new Date(b.modifiedTime) - new Date(a.modifiedTime));
+}
+
+export const webDavProvider = {
+    id: 'webdav',
+    name: 'WebDAV / Nextcloud',
+    configKey: 'webdav',
+    defaults: { url: null, username: null, password: null, shareLinks: true },
+    prompts: [
+        {
+            key: 'url',
+            message: 'Collection URL (e.g. https://cloud.example.com/remote.php/dav/files/USER/Factorio):',
+            required: true,
+            validate: (value) => /^https?:\/\//.test(value) ? true : 'URL must start with http:// or https://'
+        },
+        { key: 'username', message: 'Username:' },
+        { key: 'password', message: 'Password (use an app password on Nextcloud):', type: 'password', secret: true },
+        { key: 'shareLinks', message: 'Create public share links (Nextcloud/ownCloud only)?', type: 'confirm' }
+    ],
+
+    describe(settings) {
+        return settings.url || 'Not Set';
+    },
+
+    async upload(settings, filePath, fileName) {
+        return await uploadToWebDav(settings, filePath, fileName);
+    },
+
+    async list(settings) {
+        return await listFromWebDav(settings);
+    },
+
+    async download(settings, file, destinationPath) {
+        const response = await davRequest(settings, fileUrl(settings, file.name));
+        await Bun.write(destinationPath, response);
+        return destinationPath;
+    },
+
+    async delete(settings, file) {
+        await davRequest(settings, fileUrl(settings, file.name), { method: 'DELETE' });
+    },
+
+    async stat(settings, file) {
+        const response = await davRequest(settings, fileUrl(settings, file.name), {
+            method: 'PROPFIND',
+            headers: { 'Depth': '0', 'Content-Type': 'application/xml' },
+            body: PROPFIND_BODY,
+            allowStatus: [404]
+        });
+        if (response.status === 404) return null;
+        return parseMultistatus(await response.text(), settings)[0] || null;
+    }
+};
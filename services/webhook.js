@@ -0,0 +1,45 @@
+// services/webhook.js
+import { messageLines } from '../notification-templates.js';
+
+const SEND_TIMEOUT = 30000;
+
+/**
+ * Notification channel POSTing every event as JSON to any URL, for custom integrations.
+ *
+ * Body: { event, title, text, timestamp, world, fileName, service, link, sha256, metadata, error, results }
+ */
+export const webhookNotifier = {
+    id: 'webhook',
+    name: 'Generic Webhook',
+    defaults: { url: null, authorization: null },
+    prompts: [
+        { key: 'url', message: 'URL to POST events to:', required: true, secret: true },
+        { key: 'authorization', message: 'Authorization header value (optional, e.g. "Bearer abc"):', type: 'password', secret: true }
+    ],
+
+    async send(settings, message, event) {
+        const response = await fetch(settings.url, {
+            signal: AbortSignal.timeout(SEND_TIMEOUT),
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(settings.authorization ? { 'Authorization': settings.authorization } : {})
+            },
+            body: JSON.stringify({
+                event: event.type,
+                title: message.title,
+                text: messageLines(message).join('\n'),
+                timestamp: new Date().toISOString(),
+                world: event.world || null,
+                fileName: event.fileName || null,
+                service: event.service || null,
+                link: event.link || null,
+                sha256: event.sha256 || null,
+                metadata: event.metadata || null,
+                error: event.error || null,
+                results: (event.results || []).map(({ name, ok, link, error }) => ({ name, ok, link: link || null, error: error || null }))
+            })
+        });
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    }
+};
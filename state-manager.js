@@ -0,0 +1,48 @@
+// state-manager.js
+import { promises as fs, existsSync } from 'fs';
+import crypto from 'crypto';
+import { createAlertState } from './alerts.js';
+
+// Lives next to config.json; keeps what the monitor learned across restarts
+const STATE_FILE = 'backup-state.json';
+const MAX_HISTORY = 200;
+
+function createEmptyState() {
+    return {
+        version: 1,
+        trackingSince: Date.now(), // Saves older than this are ignored until they change
+        lastLink: null,
+        lastLinkDate: null,
+        worlds: {},             // save file name -> { hash, signature, rejectedSignature, pendingDestinations, lastLink, lastBackupAt }
+        destinationStatus: {},  // provider id -> result of the last upload attempt
+        alerts: createAlertState(), // ongoing problems and when they were reported, see alerts.js
+        history: []             // newest last: { world, fileName, at, results }
+    };
+}
+
+export async function loadState() {
+    try {
+        if (existsSync(STATE_FILE)) {
+            const data = await fs.readFile(STATE_FILE, 'utf-8');
+            return { ...createEmptyState(), ...JSON.parse(data) };
+        }
+    } catch (e) {
+        console.error(`Error loading ${STATE_FILE}, starting with a fresh state:`, e.message);
+    }
+    return createEmptyState();
+}
+
+export async function saveState(state) {
+    // Trim the live history too, or a long-running monitor keeps every entry in memory
+    state.history.splice(0, Math.max(0, state.history.length - MAX_HISTORY));
+    // Write to a temp file first so a crash mid-write can't leave a truncated state; the name
+    // is unique so overlapping saves can't rename each other's half-written file into place
+    const tempFile = `${STATE_FILE}.${crypto.randomUUID()}.tmp`;
+    try {
+        await fs.writeFile(tempFile, JSON.stringify(state, null, 2));
+        await fs.rename(tempFile, STATE_FILE);
+    } catch (e) {
+        console.error('Error saving state:', e.message);
+        await fs.rm(tempFile, { force: true }).catch(() => {});
+    }
+}
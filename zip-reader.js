@@ -0,0 +1,178 @@
+// zip-reader.js
+// Minimal ZIP reader: enough to list a save's entries, verify them and pull a single file out
+// without loading the whole archive into memory.
+import { promises as fs } from 'fs';
+import zlib from 'zlib';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+async function readAt(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Locates the End Of Central Directory record, which sits at the very end of the file
+ * followed only by an optional comment.
+ */
+async function findEndOfCentralDirectory(handle, fileSize) {
+    const tailSize = Math.min(fileSize, EOCD_MIN_SIZE + MAX_COMMENT_SIZE);
+    const tail = await readAt(handle, fileSize - tailSize, tailSize);
+
+    for (let i = tail.length - EOCD_MIN_SIZE; i >= 0; i--) {
+        if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+            return {
+                entryCount: tail.readUInt16LE(i + 10),
+                directorySize: tail.readUInt32LE(i + 12),
+                directoryOffset: tail.readUInt32LE(i + 16)
+            };
+        }
+    }
+    throw new Error('Not a zip archive (end of central directory not found).');
+}
+
+function parseCentralDirectory(buffer, entryCount) {
+    const entries = [];
+    let offset = 0;
+
+    for (let i = 0; i < entryCount; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+            throw new Error('Corrupt zip central directory.');
+        }
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+
+        const entry = {
+            name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+            method: buffer.readUInt16LE(offset + 10),
+            crc32: buffer.readUInt32LE(offset + 16),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            size: buffer.readUInt32LE(offset + 24),
+            localHeaderOffset: buffer.readUInt32LE(offset + 42)
+        };
+        if (entry.compressedSize === 0xffffffff || entry.size === 0xffffffff || entry.localHeaderOffset === 0xffffffff) {
+            throw new Error('ZIP64 archives are not supported.');
+        }
+
+        entries.push(entry);
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+/**
+ * Opens a zip file and returns { entries, fileSize, readEntry(entry), close() }.
+ * Callers must close() the archive when done.
+ */
+export async function openZip(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const { size: fileSize } = await handle.stat();
+        if (fileSize < EOCD_MIN_SIZE) throw new Error('File is too small to be a zip archive.');
+
+        const eocd = await findEndOfCentralDirectory(handle, fileSize);
+        if (eocd.directoryOffset + eocd.directorySize > fileSize) {
+            throw new Error('Zip central directory points past the end of the file (truncated download?).');
+        }
+
+        const directory = await readAt(handle, eocd.directoryOffset, eocd.directorySize);
+        const entries = parseCentralDirectory(directory, eocd.entryCount);
+
+        return {
+            entries,
+            fileSize,
+            readEntry: (entry) => readEntry(handle, entry),
+            close: () => handle.close()
+        };
+    } catch (e) {
+        await handle.close();
+        throw e;
+    }
+}
+
+async function readEntry(handle, entry) {
+    const header = await readAt(handle, entry.localHeaderOffset, 30);
+    if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_SIGNATURE) {
+        throw new Error(`Corrupt local header for ${entry.name}.`);
+    }
+    const dataOffset = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    const data = await readAt(handle, dataOffset, entry.compressedSize);
+    if (data.length < entry.compressedSize) {
+        throw new Error(`Entry ${entry.name} is truncated.`);
+    }
+
+    if (entry.method === 0) return data;
+    if (entry.method === 8) return zlib.inflateRawSync(data);
+    throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}.`);
+}
+
+/**
+ * Decompresses every entry and checks it against the size and CRC-32 recorded in the
+ * central directory. Throws on the first mismatch.
+ */
+export async function verifyZipEntries(zip) {
+    for (const entry of zip.entries) {
+        if (entry.name.endsWith('/')) continue; // Directory
+        const data = await zip.readEntry(entry);
+        if (data.length !== entry.size) {
+            throw new Error(`Entry ${entry.name} has the wrong size (${data.length} instead of ${entry.size}).`);
+        }
+        if (zlib.crc32(data) !== entry.crc32) {
+            throw new Error(`Entry ${entry.name} failed its CRC check.`);
+        }
+    }
+}
+
+/**
+ * Writes an uncompressed zip containing `files` ([{ name, data }]).
+ * Only used to generate test saves, so no compression or ZIP64 support.
+ */
+export async function writeStoredZip(filePath, files) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.from(file.data);
+        const crc = zlib.crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_SIGNATURE, 0);
+        local.writeUInt16LE(20, 4);            // Version needed to extract
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);  // Compressed size
+        local.writeUInt32LE(data.length, 22);  // Uncompressed size
+        local.writeUInt16LE(name.length, 26);
+        localParts.push(local, name, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(CENTRAL_SIGNATURE, 0);
+        central.writeUInt16LE(20, 4);          // Version made by
+        central.writeUInt16LE(20, 6);          // Version needed to extract
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centralParts.push(central, name);
+
+        offset += local.length + name.length + data.length;
+    }
+
+    const directorySize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const eocd = Buffer.alloc(EOCD_MIN_SIZE);
+    eocd.writeUInt32LE(EOCD_SIGNATURE, 0);
+    eocd.writeUInt16LE(files.length, 8);
+    eocd.writeUInt16LE(files.length, 10);
+    eocd.writeUInt32LE(directorySize, 12);
+    eocd.writeUInt32LE(offset, 16);
+
+    await fs.writeFile(filePath, Buffer.concat([...localParts, ...centralParts, eocd]));
+}